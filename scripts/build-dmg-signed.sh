@@ -188,6 +188,10 @@ create_signed_zip() {
     echo "✅ ZIP created and notarized"
 }
 
+write_release_manifest() {
+    ./scripts/write-release-manifest.sh "$VERSION" true "${DMG_NAME}.dmg" "${APP_NAME}.app.zip"
+}
+
 print_checksums() {
     echo ""
     echo "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
@@ -215,6 +219,7 @@ main() {
     create_dmg
     notarize_dmg
     create_signed_zip
+    write_release_manifest
     print_checksums
 }
 
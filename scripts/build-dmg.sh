@@ -96,4 +96,5 @@ echo "   • ${APP_NAME}.app.zip (for Homebrew Cask / GitHub Release)"
 echo ""
 echo "⚠️  Note: This is an UNSIGNED build for testing purposes"
 echo "   Users will need to allow it in System Settings > Privacy & Security"
+echo "   website/data/release.json is left alone; build-dmg-signed.sh records releases"
 echo ""
\ No newline at end of file
@@ -5,31 +5,164 @@
  * Single source of truth: `website/` root (zh-Hant). Every other language
  * tree is produced from those files by rewriting titles, meta descriptions,
  * canonical URLs, hreflang self-reference, Open Graph tags, Twitter Card
- * tags, and the <html lang> attribute.
+ * tags, and the <html lang> attribute, then prerendering every
+ * `data-i18n`, `data-i18n-placeholder` and `data-i18n-title` key against
+ * `locales/<lang>.json` so the static HTML is already translated.
  *
- * Also writes sitemap.xml + robots.txt that cover all three language trees.
+ * Supported languages come from `website/languages.js`. The hreflang
+ * alternates and og:locale:alternate tags are regenerated from that manifest
+ * in every tree, including the source pages, so adding a language never
+ * means hand-editing <head> blocks.
  *
- * Usage: node scripts/build-i18n.js
+ * The changelog page is rendered from the repo's CHANGELOG.md at build
+ * time, so it needs no runtime fetch from GitHub. The formats page grid is
+ * rendered from website/data/formats.json, and the counts derived from it
+ * (see lib/formats.js) fill `{formatCount}` / `{categoryCount}` in locale
+ * strings; they're also written to data/site-vars.json for i18n.js.
+ *
+ * The download page's asset links, checksums and notarization note are
+ * rendered from the release manifest in website/data/release.json (see
+ * lib/release.js), which scripts/build-dmg*.sh write after a build; its
+ * version is also the `{latestVersion}` site variable.
+ *
+ * The docs page's articles and sidebar are rendered from one Markdown file
+ * per article per language under website/content/docs/, in the order
+ * website/data/docs.json gives (see lib/docs.js); a language without its
+ * own copy of an article falls back like its locale strings do. Section
+ * anchors must match across languages, so deep links survive a language
+ * switch.
+ *
+ * The docs page's settings and metadata-field reference is rendered from
+ * the app's own FinderHover/Resources/<lang>.lproj/Localizable.strings,
+ * placed by website/data/settings-reference.json (see
+ * lib/settings-reference.js). App settings strings the reference doesn't
+ * place are reported as warnings.
+ *
+ * Also writes sitemap.xml + robots.txt that cover every language tree, and
+ * an Atom (feed.xml) and JSON Feed (feed.json) of releases per language
+ * tree, advertised from every page's <head>, plus a docs search index
+ * (search-index.json) per language tree for the <docs-search> overlay.
+ *
+ * Every page's `<script type="application/ld+json">` is filled with
+ * Schema.org structured data in its language (see lib/structured-data.js):
+ * the app and its FAQ on the homepage, the app on the download page and a
+ * breadcrumb on every subpage.
+ *
+ * Finally, the release manifest and its CHANGELOG.md entry are written out
+ * as update-check endpoints, /updates/latest.json and a Sparkle appcast at
+ * /updates/appcast.xml (see lib/updates.js), so the app can look for new
+ * versions on our own origin instead of the rate-limited GitHub API. Until
+ * the manifest records a signed build, there are no endpoints at all.
+ *
+ * Last comes the service worker (sw.js, see lib/service-worker.js), which
+ * precaches every language tree's pages and the scripts, styles, locales
+ * and assets they load, revisioned by content hash, so the site works
+ * offline.
+ *
+ * The committed pages load the scripts, stylesheet and locales by their
+ * plain names. With --fingerprint, which the deploy workflow runs on its
+ * own checkout, the build then gives each of them and data/site-vars.json
+ * a copy named after its content hash, points every page and sw.js at the
+ * copies, maps the original names to them in data/asset-manifest.json,
+ * and marks them immutable in _headers (see lib/assets.js). A plain build
+ * removes all of that again.
+ *
+ * With --check, nothing is written or deleted: the build runs in memory
+ * and every generated file is compared with the one on disk, printing what
+ * differs and exiting non-zero if anything does. CI runs this so a source
+ * edit can't ship without its regenerated trees.
+ *
+ * Usage: node scripts/build-i18n.js [--check | --fingerprint]
  */
 
 const fs = require('node:fs');
 const path = require('node:path');
+const {
+    scanTags,
+    findElementEnd,
+    findElements,
+    hasClass,
+    escapeAttr,
+    escapeHtmlText,
+    setTagAttr,
+    replaceElementContent,
+    replaceInlineContent,
+} = require('./lib/html');
+const { versionAnchor, parseChangelog, renderChangelog } = require('./lib/changelog');
+const { renderMarkdown } = require('./lib/markdown');
+const { renderAtomFeed, renderJsonFeed } = require('./lib/feed');
+const { catalogueStats, renderFormatsCatalogue } = require('./lib/formats');
+const { buildDocsIndex } = require('./lib/search-index');
+const { assetUrl, formatByteCount, renderReleaseDownloads, renderNotarizationNote, renderInstallSteps } = require('./lib/release');
+const { missingUpdateFields, renderLatestJson, renderAppcast } = require('./lib/updates');
+const { structuredData, serializeJsonLd } = require('./lib/structured-data');
+const {
+    contentHash,
+    fingerprintedName,
+    stripFingerprint,
+    rewriteAssetReferences,
+    injectAssetUrls,
+    renderCacheHeaders,
+} = require('./lib/assets');
+const { renderServiceWorker } = require('./lib/service-worker');
+const { parseArticle, articleAnchors, renderDocsContent, renderDocsNav } = require('./lib/docs');
+const { parseStrings } = require('./lib/strings');
+const {
+    unmappedKeys,
+    renderSettingsReference,
+    renderMetadataFieldReference,
+} = require('./lib/settings-reference');
+const { formatMessage } = require('../website/i18n-format');
 
 const REPO_ROOT = path.resolve(__dirname, '..');
 const WEBSITE_DIR = path.join(REPO_ROOT, 'website');
 const LOCALES_DIR = path.join(WEBSITE_DIR, 'locales');
+const CHANGELOG_PATH = path.join(REPO_ROOT, 'CHANGELOG.md');
+const FORMATS_PATH = path.join(WEBSITE_DIR, 'data', 'formats.json');
+const SITE_VARS_PATH = path.join(WEBSITE_DIR, 'data', 'site-vars.json');
+const SETTINGS_REFERENCE_PATH = path.join(WEBSITE_DIR, 'data', 'settings-reference.json');
+const RELEASE_PATH = path.join(WEBSITE_DIR, 'data', 'release.json');
+const DOCS_MANIFEST_PATH = path.join(WEBSITE_DIR, 'data', 'docs.json');
+const DOCS_CONTENT_DIR = path.join(WEBSITE_DIR, 'content', 'docs');
+const UPDATES_DIR = path.join(WEBSITE_DIR, 'updates');
+const SERVICE_WORKER_PATH = path.join(WEBSITE_DIR, 'sw.js');
+const ASSET_MANIFEST_PATH = path.join(WEBSITE_DIR, 'data', 'asset-manifest.json');
+const CACHE_HEADERS_PATH = path.join(WEBSITE_DIR, '_headers');
+const APP_RESOURCES_DIR = path.join(REPO_ROOT, 'FinderHover', 'Resources');
+
+// The app's development language: every app string exists in it, so it
+// ends each language's fallback chain and fixes the order fields are listed in.
+const APP_BASE_LANG = 'en';
 
 const SITE_ORIGIN = 'https://finderhover.app.koukeneko.cafe';
 
 const PAGES = ['index', 'download', 'docs', 'formats', 'changelog', 'license'];
-const SOURCE_LANG = 'zh-Hant';
-const TARGET_LANGS = ['en', 'ja'];
 
-const OG_LOCALES = {
-    'zh-Hant': 'zh_TW',
-    'en': 'en_US',
-    'ja': 'ja_JP',
-};
+// Files every page loads (relative to website/), fingerprinted by
+// --fingerprint along with each language's locale and data/site-vars.json.
+const FINGERPRINTED_FILES = ['theme.js', 'style.css', 'languages.js', 'components.js', 'i18n-format.js', 'i18n.js'];
+
+// Besides every language tree's pages and search index and the files
+// --fingerprint covers, the service worker precaches these files and
+// everything in these directories (relative to website/): whatever a page
+// loads from our own origin.
+const PRECACHE_FILES = ['data/hover-demo.json'];
+const PRECACHE_DIRS = ['assets'];
+
+// Lines of each side shown per out-of-date file in --check mode.
+const DRIFT_SAMPLE_LINES = 6;
+
+const LANGUAGES = require(path.join(WEBSITE_DIR, 'languages.js'));
+const SOURCE_LANG = LANGUAGES.find((language) => language.source).code;
+const TARGET_LANGS = LANGUAGES.filter((language) => !language.source).map((language) => language.code);
+const ALL_LANGS = LANGUAGES.map((language) => language.code);
+const X_DEFAULT_LANG = (LANGUAGES.find((language) => language.xDefault) || LANGUAGES[0]).code;
+
+function getLanguage(lang) {
+    const language = LANGUAGES.find((entry) => entry.code === lang);
+    if (!language) throw new Error(`Unknown language "${lang}" — add it to website/languages.js`);
+    return language;
+}
 
 /**
  * Build the public URL for a given page + language, using the conventions
@@ -41,11 +174,207 @@ function pageUrl(lang, page) {
     return `${SITE_ORIGIN}${prefix}/${page}.html`;
 }
 
-function loadLocale(lang) {
+/**
+ * Directory a language tree is written to: the website root for the source
+ * language, `website/<lang>/` otherwise.
+ */
+function languageDir(lang) {
+    return lang === SOURCE_LANG ? WEBSITE_DIR : path.join(WEBSITE_DIR, lang);
+}
+
+/**
+ * Public URL of a language tree's release feed; `format` is "xml" (Atom)
+ * or "json" (JSON Feed).
+ */
+function feedUrl(lang, format) {
+    const prefix = lang === SOURCE_LANG ? '' : `/${lang}`;
+    return `${SITE_ORIGIN}${prefix}/feed.${format}`;
+}
+
+// With --check, generated content is collected here (path → content, or
+// null for a file the build would delete) instead of touching the disk.
+let plannedOutputs = null;
+
+/**
+ * Write a generated file, creating its directory as needed.
+ */
+function writeOutput(file, content) {
+    if (plannedOutputs) {
+        plannedOutputs.set(file, content);
+        return;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+}
+
+/**
+ * Delete a generated file or directory.
+ */
+function removeOutput(target) {
+    if (!plannedOutputs) {
+        fs.rmSync(target, { recursive: true, force: true });
+        return;
+    }
+    if (!fs.existsSync(target)) return;
+    if (!fs.statSync(target).isDirectory()) {
+        plannedOutputs.set(target, null);
+        return;
+    }
+    for (const entry of fs.readdirSync(target, { recursive: true, withFileTypes: true })) {
+        if (entry.isFile()) plannedOutputs.set(path.join(entry.parentPath ?? entry.path, entry.name), null);
+    }
+}
+
+/**
+ * Read a file the build may already have generated this run, so later
+ * steps see it in --check mode too. Without `encoding`, returns a Buffer.
+ */
+function readOutput(file, encoding) {
+    const planned = plannedOutputs?.get(file);
+    if (planned === undefined) return fs.readFileSync(file, encoding);
+    if (planned === null) throw new Error(`${path.relative(REPO_ROOT, file)} was removed by this build`);
+    if (encoding) return Buffer.isBuffer(planned) ? planned.toString(encoding) : planned;
+    return Buffer.isBuffer(planned) ? planned : Buffer.from(planned);
+}
+
+let formatsCatalogue = null;
+
+function loadFormats() {
+    if (!formatsCatalogue) {
+        formatsCatalogue = JSON.parse(fs.readFileSync(FORMATS_PATH, 'utf8'));
+    }
+    return formatsCatalogue;
+}
+
+let settingsReference = null;
+
+function loadSettingsReference() {
+    if (!settingsReference) {
+        settingsReference = JSON.parse(fs.readFileSync(SETTINGS_REFERENCE_PATH, 'utf8'));
+    }
+    return settingsReference;
+}
+
+let releaseManifest = null;
+
+function loadRelease() {
+    if (!releaseManifest) {
+        releaseManifest = JSON.parse(fs.readFileSync(RELEASE_PATH, 'utf8'));
+    }
+    return releaseManifest;
+}
+
+let docsManifest = null;
+
+function loadDocsManifest() {
+    if (!docsManifest) {
+        docsManifest = JSON.parse(fs.readFileSync(DOCS_MANIFEST_PATH, 'utf8'));
+    }
+    return docsManifest;
+}
+
+const docsArticles = new Map();
+
+/**
+ * Parse one docs article for `lang`, taken from the first language in its
+ * fallback chain (ending with the source language) that has the file.
+ * Translations are checked against the source article's section anchors.
+ */
+function loadDocsArticle(lang, id) {
+    const cacheKey = `${lang}/${id}`;
+    if (docsArticles.has(cacheKey)) return docsArticles.get(cacheKey);
+
+    const chain = [...new Set([lang, ...(getLanguage(lang).fallback || []), SOURCE_LANG])];
+    const fromLang = chain.find((code) => fs.existsSync(path.join(DOCS_CONTENT_DIR, code, `${id}.md`)));
+    if (!fromLang) throw new Error(`Missing docs article content/docs/${SOURCE_LANG}/${id}.md`);
+    if (fromLang !== lang) {
+        console.warn(`  warning: content/docs/${lang}/${id}.md is missing; using the ${fromLang} article`);
+    }
+
+    const fileName = path.relative(WEBSITE_DIR, path.join(DOCS_CONTENT_DIR, fromLang, `${id}.md`));
+    const article = parseArticle(fs.readFileSync(path.join(WEBSITE_DIR, fileName), 'utf8'), fileName);
+    if (fromLang !== SOURCE_LANG) {
+        const expected = articleAnchors(loadDocsArticle(SOURCE_LANG, id)).join(', ');
+        const actual = articleAnchors(article).join(', ');
+        if (actual !== expected) {
+            throw new Error(`${fileName}: section anchors [${actual}] don't match the ${SOURCE_LANG} article [${expected}]`);
+        }
+    }
+    docsArticles.set(cacheKey, article);
+    return article;
+}
+
+const appStrings = new Map();
+
+/**
+ * The app's Localizable.strings for `lang`, or an empty map when the app
+ * isn't translated into that language.
+ */
+function loadAppStrings(lang) {
+    if (!appStrings.has(lang)) {
+        const filePath = path.join(APP_RESOURCES_DIR, `${lang}.lproj`, 'Localizable.strings');
+        appStrings.set(lang, fs.existsSync(filePath) ? parseStrings(fs.readFileSync(filePath, 'utf8'), filePath) : new Map());
+    }
+    return appStrings.get(lang);
+}
+
+/**
+ * Look up an app string for `lang`, following the language's fallback
+ * chain and then the app's base language.
+ */
+function appStringLookup(lang) {
+    const chain = [...new Set([lang, ...(getLanguage(lang).fallback || []), APP_BASE_LANG])].map(loadAppStrings);
+    return (key) => chain.find((strings) => strings.has(key))?.get(key);
+}
+
+/**
+ * Forget everything loaded from disk, so the next step re-reads files that
+ * changed since (the dev server calls this before each rebuild).
+ */
+function clearCaches() {
+    formatsCatalogue = null;
+    settingsReference = null;
+    releaseManifest = null;
+    docsManifest = null;
+    docsArticles.clear();
+    appStrings.clear();
+    changelogEntries = null;
+}
+
+/**
+ * Site-wide values locale strings may reference as `{name}` (or as the
+ * argument of a plural/select). Other placeholders are left for the code
+ * that formats the string.
+ */
+function siteVariables() {
+    return { ...catalogueStats(loadFormats()), latestVersion: loadRelease().version };
+}
+
+function interpolateSiteVariables(value, variables, lang) {
+    if (typeof value === 'string') {
+        return formatMessage(value, variables, lang);
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, child]) => [key, interpolateSiteVariables(child, variables, lang)]),
+        );
+    }
+    return value;
+}
+
+function readLocaleFile(lang) {
     const filePath = path.join(LOCALES_DIR, `${lang}.json`);
     return JSON.parse(fs.readFileSync(filePath, 'utf8'));
 }
 
+/**
+ * Load a locale with site variables already filled in, which is what every
+ * rendered page and check wants.
+ */
+function loadLocale(lang) {
+    return interpolateSiteVariables(readLocaleFile(lang), siteVariables(), lang);
+}
+
 /**
  * Resolve the localized {title, description} pair for a page, falling back
  * to the top-level meta entry when no page-specific override exists.
@@ -78,14 +407,6 @@ function replaceTagAttr(html, tagName, matchAttr, matchValue, setAttr, newValue)
     return html.replace(pattern, `$1${escapeAttr(newValue)}$2`);
 }
 
-function escapeAttr(value) {
-    return String(value)
-        .replace(/&/g, '&amp;')
-        .replace(/"/g, '&quot;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
-}
-
 /**
  * Replace <title>...</title>. There's exactly one per document.
  */
@@ -95,71 +416,335 @@ function replaceTitle(html, newTitle) {
     return html.replace(pattern, `<title>${escapeHtmlText(newTitle)}</title>`);
 }
 
-function escapeHtmlText(value) {
-    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+/**
+ * Look up a dotted key path in a locale tree, mirroring `i18n.t()` in the
+ * runtime. Returns undefined (rather than the key path) when the key is
+ * missing or doesn't point at a string, so callers can leave the source
+ * text in place.
+ */
+function lookupKey(locale, keyPath) {
+    let value = locale;
+    for (const key of keyPath.split('.')) {
+        if (value && typeof value === 'object' && key in value) {
+            value = value[key];
+        } else {
+            return undefined;
+        }
+    }
+    return typeof value === 'string' ? value : undefined;
 }
 
 /**
- * Rewrite a single source HTML into a target language's SEO metadata.
- * Only head-level tags are touched — body content stays identical so the
- * i18n runtime layer can localize the rest at load time.
+ * Like lookupKey, but for strings the build itself emits: a missing key is
+ * a build error rather than a silent fallback.
  */
-function localizeHtml(sourceHtml, lang, page, locale) {
-    const { title, description } = resolvePageMeta(locale, page);
-    const canonical = pageUrl(lang, page);
-    const ogLocale = OG_LOCALES[lang];
-    const ogLocaleAlternates = Object.values(OG_LOCALES).filter((v) => v !== ogLocale);
+function requireKey(locale, keyPath) {
+    const value = lookupKey(locale, keyPath);
+    if (value === undefined) throw new Error(`Missing locale key "${keyPath}"`);
+    return value;
+}
 
-    let html = sourceHtml;
+let changelogEntries = null;
 
-    html = html.replace(/<html lang="[^"]*"/i, `<html lang="${lang}"`);
+function loadChangelog() {
+    if (!changelogEntries) {
+        changelogEntries = parseChangelog(fs.readFileSync(CHANGELOG_PATH, 'utf8'));
+    }
+    return changelogEntries;
+}
+
+/**
+ * Fill the parts of a page that are generated from repo data rather than
+ * authored in the HTML. Runs on the source pages and every language tree.
+ */
+function renderGeneratedContent(html, page, locale, lang) {
+    if (page === 'changelog') {
+        const markup = renderChangelog(loadChangelog(), (key) => requireKey(locale, key));
+        html = replaceElementContent(html, (tag) => tag.attrs.id === 'changelog-content', markup, '#changelog-content');
+    }
+    if (page === 'formats') {
+        const markup = renderFormatsCatalogue(loadFormats(), (key) => requireKey(locale, key));
+        html = replaceElementContent(html, (tag) => hasClass(tag, 'formats-container'), markup, '.formats-container');
+        const { formatCount, categoryCount } = siteVariables();
+        html = replaceInlineContent(html, (tag) => tag.attrs['data-stat'] === 'formats', String(formatCount));
+        html = replaceInlineContent(html, (tag) => tag.attrs['data-stat'] === 'categories', String(categoryCount));
+    }
+    if (page === 'download') {
+        const release = loadRelease();
+        const translate = (key) => requireKey(locale, key);
+        html = replaceElementContent(html, (tag) => tag.attrs.id === 'release-downloads', renderReleaseDownloads(release, translate, lang), '#release-downloads');
+        html = replaceElementContent(html, (tag) => tag.attrs.id === 'release-note', renderNotarizationNote(release, translate), '#release-note');
+        html = replaceElementContent(html, (tag) => tag.attrs.id === 'install-steps', renderInstallSteps(release, translate), '#install-steps');
+    }
+    if (page === 'docs') {
+        const manifest = loadDocsManifest();
+        const articles = new Map(
+            manifest.groups.flatMap((group) => group.articles).map((id) => [id, loadDocsArticle(lang, id)]),
+        );
+        const translate = (key) => requireKey(locale, key);
+        const contentMarkup = renderDocsContent(manifest, articles, translate);
+        const navMarkup = renderDocsNav(manifest, articles, translate);
+        html = replaceElementContent(html, (tag) => hasClass(tag, 'docs-content'), contentMarkup, '.docs-content');
+        html = replaceElementContent(html, (tag) => hasClass(tag, 'docs-nav'), navMarkup, '.docs-nav');
+
+        const reference = loadSettingsReference();
+        const lookup = appStringLookup(lang);
+        const settingsMarkup = renderSettingsReference(reference, lookup);
+        const fieldsMarkup = renderMetadataFieldReference(reference, [...loadAppStrings(APP_BASE_LANG).keys()], lookup);
+        html = replaceElementContent(html, (tag) => tag.attrs.id === 'settings-reference', settingsMarkup, '#settings-reference');
+        html = replaceElementContent(html, (tag) => tag.attrs.id === 'metadata-fields-reference', fieldsMarkup, '#metadata-fields-reference');
+    }
+    const jsonLd = serializeJsonLd(structuredData(page, structuredDataContext(html, locale, lang)));
+    html = replaceElementContent(html, (tag) => tag.name === 'script' && tag.attrs.type === 'application/ld+json', jsonLd, 'JSON-LD <script>');
+    return rewriteAssetReferences(html, plainAssetUrls());
+}
+
+/**
+ * What lib/structured-data.js needs to describe a page in `lang`. The FAQ
+ * questions are the ones the page actually shows.
+ */
+function structuredDataContext(html, locale, lang) {
+    const release = loadRelease();
+    const [primary] = release.assets;
+    const faqQuestions = findElements(html, (tag) => /^faq\.\w+\.question$/.test(tag.attrs['data-i18n'] || ''));
+    return {
+        lang,
+        pageUrl: (page) => pageUrl(lang, page),
+        translate: (key) => requireKey(locale, key),
+        imageUrl: `${SITE_ORIGIN}/assets/og-image.png`,
+        release,
+        downloadUrl: assetUrl(release, primary),
+        fileSize: primary.size ? formatByteCount(primary.size, 'en') : null,
+        faqIds: faqQuestions.map(({ tag }) => tag.attrs['data-i18n'].split('.')[1]),
+    };
+}
+
+/**
+ * Parse a `data-i18n-attr` value ("aria-label:nav.toggleMenu;alt:key") into
+ * [attribute, key] pairs, like `parseAttrBindings` in the runtime.
+ */
+function parseAttrBindings(value) {
+    return value
+        .split(';')
+        .map((binding) => binding.split(':').map((part) => part.trim()))
+        .filter(([attr, key]) => attr && key);
+}
+
+/**
+ * Resolve every `data-i18n`, `data-i18n-placeholder`, `data-i18n-title` and
+ * `data-i18n-attr` key in the document against `locale`, the same way
+ * `i18n.applyElementTranslations` does at runtime: `data-i18n` replaces the
+ * element's inner HTML, the others set the named attribute.
+ *
+ * Placeholders are filled from the element's `data-i18n-args` JSON, using
+ * `lang`'s plural rules. Keys that don't resolve keep their source text and
+ * are pushed onto `missing`, so the runtime layer remains the fallback for
+ * them. Pass `shouldTranslate(key)` to limit the pass to some keys.
+ */
+function translateBody(html, locale, missing = [], shouldTranslate = () => true, lang = SOURCE_LANG) {
+    let out = '';
+    let cursor = 0;
+
+    for (const tag of scanTags(html)) {
+        if (tag.closing || tag.start < cursor) continue;
+        const { attrs } = tag;
+        const attrBindings = [
+            ...('data-i18n-placeholder' in attrs ? [['placeholder', attrs['data-i18n-placeholder']]] : []),
+            ...('data-i18n-title' in attrs ? [['title', attrs['data-i18n-title']]] : []),
+            ...('data-i18n-attr' in attrs ? parseAttrBindings(attrs['data-i18n-attr']) : []),
+        ];
+        if (!('data-i18n' in attrs) && attrBindings.length === 0) continue;
+
+        const args = attrs['data-i18n-args'] ? JSON.parse(attrs['data-i18n-args']) : null;
+        const resolve = (key) => {
+            const value = lookupKey(locale, key);
+            return value === undefined || !args ? value : formatMessage(value, args, lang);
+        };
+
+        let openTag = tag.source;
+        for (const [targetAttr, key] of attrBindings) {
+            if (!shouldTranslate(key)) continue;
+            const value = resolve(key);
+            if (value === undefined) missing.push(key);
+            else openTag = setTagAttr(openTag, targetAttr, value);
+        }
+
+        out += html.slice(cursor, tag.start) + openTag;
+        cursor = tag.end;
+
+        if (!('data-i18n' in attrs) || !shouldTranslate(attrs['data-i18n'])) continue;
+        const range = findElementEnd(html, tag);
+        const value = resolve(attrs['data-i18n']);
+        if (!range) continue;
+        if (value === undefined) {
+            missing.push(attrs['data-i18n']);
+            continue;
+        }
+        out += value + html.slice(range.innerEnd, range.end);
+        cursor = range.end;
+    }
+
+    return out + html.slice(cursor);
+}
+
+/**
+ * Build-time counterpart of `i18n.syncMarqueeContent`: copy the first
+ * `.marquee-content` of every `.marquee-row` over its aria-hidden siblings,
+ * so the duplicated scroll frames carry the translated labels too.
+ */
+function syncMarqueeContent(html) {
+    const rows = findElements(html, (tag) => hasClass(tag, 'marquee-row'));
+    // Splice from the end so earlier offsets stay valid.
+    for (const row of rows.reverse()) {
+        const contents = findElements(
+            html,
+            (tag) => hasClass(tag, 'marquee-content'),
+            row.innerStart,
+            row.innerEnd,
+        );
+        if (contents.length <= 1) continue;
+        const sourceInner = html.slice(contents[0].innerStart, contents[0].innerEnd);
+        for (const content of contents.slice(1).reverse()) {
+            html = html.slice(0, content.innerStart) + sourceInner + html.slice(content.innerEnd);
+        }
+    }
+    return html;
+}
+
+/**
+ * Set the page title and description everywhere they appear in <head>:
+ * <title>, meta description, Open Graph and Twitter Card.
+ */
+function applyPageMeta(html, title, description) {
     html = replaceTitle(html, title);
     html = replaceTagAttr(html, 'meta', 'name', 'description', 'content', description);
-    html = replaceTagAttr(html, 'link', 'rel', 'canonical', 'href', canonical);
-
     html = replaceTagAttr(html, 'meta', 'property', 'og:title', 'content', title);
     html = replaceTagAttr(html, 'meta', 'property', 'og:description', 'content', description);
+    html = replaceTagAttr(html, 'meta', 'name', 'twitter:title', 'content', title);
+    html = replaceTagAttr(html, 'meta', 'name', 'twitter:description', 'content', description);
+    return html;
+}
+
+/**
+ * Rewrite a single source HTML into a target language: SEO metadata in the
+ * head, plus prerendered body translations. The i18n runtime layer still
+ * runs on load, but only has to fill in markup that components render
+ * client-side and keys the build couldn't resolve.
+ */
+function localizeHtml(sourceHtml, lang, page, locale, missing = []) {
+    const { title, description } = resolvePageMeta(locale, page);
+    const canonical = pageUrl(lang, page);
+    const { ogLocale, dir } = getLanguage(lang);
+
+    let html = sourceHtml;
+
+    html = html.replace(/<html lang="[^"]*"(?: dir="[^"]*")?/i, `<html lang="${lang}" dir="${dir}"`);
+    html = applyPageMeta(html, title, description);
+    html = replaceTagAttr(html, 'link', 'rel', 'canonical', 'href', canonical);
+    html = syncAlternates(html, lang, page, locale);
     html = replaceTagAttr(html, 'meta', 'property', 'og:url', 'content', canonical);
     html = replaceTagAttr(html, 'meta', 'property', 'og:locale', 'content', ogLocale);
 
-    html = replaceAllOgLocaleAlternates(html, ogLocaleAlternates);
-
-    html = replaceTagAttr(html, 'meta', 'name', 'twitter:title', 'content', title);
-    html = replaceTagAttr(html, 'meta', 'name', 'twitter:description', 'content', description);
+    html = renderGeneratedContent(html, page, locale, lang);
+    html = translateBody(html, locale, missing, undefined, lang);
+    html = syncMarqueeContent(html);
 
     return html;
 }
 
 /**
- * Rewrite the two `og:locale:alternate` meta tags so they exclude the
- * current language and cover the other two. Order-independent.
+ * Replace a run of one-per-line tags (all lines matching `linePattern`) with
+ * freshly generated lines. The first match's indentation is reused and the
+ * block is emitted where the first match was; the remaining matches are
+ * dropped, so the block can grow or shrink with the language manifest.
  */
-function replaceAllOgLocaleAlternates(html, newAlternates) {
-    const pattern = /<meta property="og:locale:alternate" content="[^"]*" ?\/?>/gi;
-    const matches = html.match(pattern) || [];
-    if (matches.length !== newAlternates.length) {
-        throw new Error(
-            `Expected ${newAlternates.length} og:locale:alternate tags, found ${matches.length}`,
-        );
-    }
-    let index = 0;
+function replaceTagLines(html, linePattern, newLines, label) {
+    const pattern = new RegExp(`^([ \\t]*)${linePattern.source}[ \\t]*\\r?\\n`, 'gim');
+    const matches = [...html.matchAll(pattern)];
+    if (matches.length === 0) throw new Error(`Missing ${label} tags`);
+    const indent = matches[0][1];
+    const block = newLines.map((line) => `${indent}${line}\n`).join('');
+    let first = true;
     return html.replace(pattern, () => {
-        const value = newAlternates[index++];
-        return `<meta property="og:locale:alternate" content="${value}" />`;
+        if (!first) return '';
+        first = false;
+        return block;
     });
 }
 
-function buildLanguage(lang) {
+/**
+ * Regenerate the hreflang alternates (every language + x-default) and the
+ * og:locale:alternate tags (every language except `lang`) from the manifest.
+ */
+function syncAlternates(html, lang, page, locale) {
+    const hreflangLines = [
+        ...ALL_LANGS.map((code) => `<link rel="alternate" hreflang="${code}" href="${pageUrl(code, page)}" />`),
+        `<link rel="alternate" hreflang="x-default" href="${pageUrl(X_DEFAULT_LANG, page)}" />`,
+    ];
+    const ogLines = LANGUAGES
+        .filter((language) => language.code !== lang)
+        .map((language) => `<meta property="og:locale:alternate" content="${language.ogLocale}" />`);
+
+    const feedTitle = resolvePageMeta(locale, 'changelog').title;
+    const feedLines = [
+        `<link rel="alternate" type="application/atom+xml" title="${escapeAttr(feedTitle)}" href="${feedUrl(lang, 'xml')}" />`,
+        `<link rel="alternate" type="application/feed+json" title="${escapeAttr(feedTitle)}" href="${feedUrl(lang, 'json')}" />`,
+    ];
+
+    html = replaceTagLines(html, /<link rel="alternate" hreflang="[^"]*" href="[^"]*" ?\/?>/, hreflangLines, 'hreflang');
+    html = replaceTagLines(html, /<link rel="alternate" type="application\/(?:atom\+xml|feed\+json)"[^>]*>/, feedLines, 'feed');
+    html = replaceTagLines(html, /<meta property="og:locale:alternate" content="[^"]*" ?\/?>/, ogLines, 'og:locale:alternate');
+    return html;
+}
+
+/**
+ * Keep the hand-written source pages' alternates and generated content in
+ * step with the manifest and repo data. Page meta is reapplied and strings
+ * that use site variables are re-rendered, so counts stay current in the
+ * source language too; everything else is left as authored. Only writes
+ * when something actually changed.
+ */
+function syncSourcePages(pages = PAGES) {
+    const locale = loadLocale(SOURCE_LANG);
+    const rawLocale = readLocaleFile(SOURCE_LANG);
+    const variables = Object.keys(siteVariables());
+    const usesSiteVariables = (key) =>
+        variables.some((name) => new RegExp(`\\{\\s*${name}\\s*[,}]`).test(lookupKey(rawLocale, key) || ''));
+
+    for (const page of pages) {
+        const sourcePath = path.join(WEBSITE_DIR, `${page}.html`);
+        const sourceHtml = readOutput(sourcePath, 'utf8');
+        const { title, description } = resolvePageMeta(locale, page);
+        let synced = applyPageMeta(sourceHtml, title, description);
+        synced = syncAlternates(synced, SOURCE_LANG, page, locale);
+        synced = renderGeneratedContent(synced, page, locale, SOURCE_LANG);
+        synced = translateBody(synced, locale, [], usesSiteVariables);
+        if (synced !== sourceHtml) {
+            writeOutput(sourcePath, synced);
+            if (!plannedOutputs) console.log(`  updated ${page}.html`);
+        }
+    }
+}
+
+/**
+ * Write a language tree's pages. Without `pages`, the tree is rebuilt from
+ * an empty directory, so nothing stale survives; with them (the dev
+ * server's incremental rebuilds), only those pages are rewritten.
+ */
+function buildLanguage(lang, pages) {
     const locale = loadLocale(lang);
-    const outDir = path.join(WEBSITE_DIR, lang);
-    fs.rmSync(outDir, { recursive: true, force: true });
-    fs.mkdirSync(outDir, { recursive: true });
+    const outDir = languageDir(lang);
+    if (!pages) removeOutput(outDir);
 
-    for (const page of PAGES) {
+    for (const page of pages || PAGES) {
         const sourcePath = path.join(WEBSITE_DIR, `${page}.html`);
-        const sourceHtml = fs.readFileSync(sourcePath, 'utf8');
-        const localized = localizeHtml(sourceHtml, lang, page, locale);
-        fs.writeFileSync(path.join(outDir, `${page}.html`), localized);
+        const sourceHtml = readOutput(sourcePath, 'utf8');
+        const missing = [];
+        const localized = localizeHtml(sourceHtml, lang, page, locale, missing);
+        writeOutput(path.join(outDir, `${page}.html`), localized);
+        for (const key of new Set(missing)) {
+            console.warn(`  warning: ${lang}/${page}.html: no translation for "${key}"`);
+        }
     }
 }
 
@@ -174,19 +759,18 @@ function buildSitemap() {
         '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
     );
 
-    const allLangs = [SOURCE_LANG, ...TARGET_LANGS];
-    for (const lang of allLangs) {
+    for (const lang of ALL_LANGS) {
         for (const page of PAGES) {
             const url = pageUrl(lang, page);
             lines.push('  <url>');
             lines.push(`    <loc>${url}</loc>`);
-            for (const altLang of allLangs) {
+            for (const altLang of ALL_LANGS) {
                 lines.push(
                     `    <xhtml:link rel="alternate" hreflang="${altLang}" href="${pageUrl(altLang, page)}" />`,
                 );
             }
             lines.push(
-                `    <xhtml:link rel="alternate" hreflang="x-default" href="${pageUrl('en', page)}" />`,
+                `    <xhtml:link rel="alternate" hreflang="x-default" href="${pageUrl(X_DEFAULT_LANG, page)}" />`,
             );
             lines.push('  </url>');
         }
@@ -195,7 +779,196 @@ function buildSitemap() {
     lines.push('</urlset>');
     lines.push('');
 
-    fs.writeFileSync(path.join(WEBSITE_DIR, 'sitemap.xml'), lines.join('\n'));
+    writeOutput(path.join(WEBSITE_DIR, 'sitemap.xml'), lines.join('\n'));
+}
+
+/**
+ * Write feed.xml (Atom) and feed.json (JSON Feed) for one language tree.
+ * Entry bodies are the plain Markdown rendering of each version, without
+ * the page's filter wrappers; links point at that language's changelog
+ * anchors. Versions without a date in their CHANGELOG.md heading are left
+ * out, since a feed entry has to say when it was published.
+ */
+function buildFeeds(lang) {
+    const locale = loadLocale(lang);
+    const { title, description } = resolvePageMeta(locale, 'changelog');
+    const changelogUrl = pageUrl(lang, 'changelog');
+    const feed = {
+        title,
+        description,
+        language: lang,
+        homePageUrl: changelogUrl,
+        atomUrl: feedUrl(lang, 'xml'),
+        jsonUrl: feedUrl(lang, 'json'),
+        items: loadChangelog().map((entry) => ({
+            id: `${changelogUrl}#${versionAnchor(entry.version)}`,
+            url: `${changelogUrl}#${versionAnchor(entry.version)}`,
+            title: `FinderHover ${entry.version}`,
+            html: renderMarkdown(entry.blocks),
+            date: entry.date,
+        })),
+    };
+
+    writeOutput(path.join(languageDir(lang), 'feed.xml'), renderAtomFeed(feed));
+    writeOutput(path.join(languageDir(lang), 'feed.json'), renderJsonFeed(feed));
+}
+
+/**
+ * Index the language tree's docs page as it was written, i.e. after
+ * translation, so results and snippets are in the reader's language.
+ */
+function buildSearchIndex(lang) {
+    const docsHtml = readOutput(path.join(languageDir(lang), 'docs.html'), 'utf8');
+    const index = buildDocsIndex(docsHtml);
+    writeOutput(path.join(languageDir(lang), 'search-index.json'), `${JSON.stringify(index)}\n`);
+}
+
+/**
+ * The release in the manifest as lib/updates.js describes it. The notes
+ * are its CHANGELOG.md entry, linked from each language's changelog page
+ * with the x-default language first.
+ */
+function releaseUpdate() {
+    const release = loadRelease();
+    const entry = loadChangelog().find((candidate) => candidate.version === release.version);
+    if (!entry) {
+        throw new Error(`data/release.json is for ${release.version}, which has no entry in CHANGELOG.md`);
+    }
+    const langs = [X_DEFAULT_LANG, ...ALL_LANGS.filter((lang) => lang !== X_DEFAULT_LANG)];
+    return {
+        title: 'FinderHover',
+        feedUrl: `${SITE_ORIGIN}/updates/appcast.xml`,
+        version: release.version,
+        build: release.build,
+        date: entry.date,
+        minimumSystemVersion: release.minimumSystemVersion,
+        notarized: release.notarized,
+        releaseNotes: {
+            html: renderMarkdown(entry.blocks),
+            links: langs.map((lang) => ({ lang, url: `${pageUrl(lang, 'changelog')}#${versionAnchor(release.version)}` })),
+        },
+        assets: release.assets.map((asset) => ({ ...asset, url: assetUrl(release, asset) })),
+    };
+}
+
+/**
+ * Write updates/latest.json and updates/appcast.xml for the release in the
+ * manifest, or, while it's missing anything an update needs (a release
+ * recorded by hand rather than by write-release-manifest.sh), leave
+ * updates/ out of the site altogether.
+ */
+function buildUpdates() {
+    const update = releaseUpdate();
+    const missing = missingUpdateFields(update);
+    if (missing.length > 0) {
+        console.warn(`  warning: ${update.version} has no ${missing.join(', ')}, so /updates/ isn't published; record a signed build with scripts/write-release-manifest.sh`);
+        removeOutput(UPDATES_DIR);
+        return;
+    }
+    writeOutput(path.join(UPDATES_DIR, 'latest.json'), renderLatestJson(update));
+    writeOutput(path.join(UPDATES_DIR, 'appcast.xml'), renderAppcast(update));
+}
+
+/**
+ * Every file --fingerprint covers (relative to website/): the locales and
+ * site variables i18n.js fetches, then FINGERPRINTED_FILES, which ends
+ * with i18n.js itself.
+ */
+function fingerprintedFiles() {
+    return [...ALL_LANGS.map((lang) => `locales/${lang}.json`), 'data/site-vars.json', ...FINGERPRINTED_FILES];
+}
+
+/**
+ * Those files' URLs mapped to themselves: where the committed pages load
+ * them from.
+ */
+function plainAssetUrls() {
+    return Object.fromEntries(fingerprintedFiles().map((file) => [`/${file}`, `/${file}`]));
+}
+
+/**
+ * Delete what a --fingerprint run left in the tree: the hashed copies,
+ * data/asset-manifest.json and _headers.
+ */
+function removeFingerprintedCopies() {
+    for (const file of fingerprintedFiles()) {
+        const dir = path.join(WEBSITE_DIR, path.dirname(file));
+        for (const name of fs.readdirSync(dir)) {
+            if (name !== path.basename(file) && stripFingerprint(name) === path.basename(file)) {
+                removeOutput(path.join(dir, name));
+            }
+        }
+    }
+    removeOutput(ASSET_MANIFEST_PATH);
+    removeOutput(CACHE_HEADERS_PATH);
+}
+
+/**
+ * Write a hashed copy of every file --fingerprint covers, point i18n.js's
+ * copy and every page at them, and write data/asset-manifest.json and
+ * _headers. Returns the manifest (original URL → fingerprinted URL).
+ */
+function fingerprintAssets() {
+    const manifest = {};
+    for (const file of fingerprintedFiles()) {
+        let content = fs.readFileSync(path.join(WEBSITE_DIR, file));
+        if (file === 'i18n.js') {
+            // The locales and site variables, which i18n.js fetches
+            const fetched = Object.entries(manifest).filter(([url]) => url.endsWith('.json'));
+            content = injectAssetUrls(content.toString('utf8'), Object.fromEntries(fetched));
+        }
+        const copy = fingerprintedName(file, content);
+        writeOutput(path.join(WEBSITE_DIR, copy), content);
+        manifest[`/${file}`] = `/${copy}`;
+    }
+    for (const lang of ALL_LANGS) {
+        for (const page of PAGES) {
+            const file = path.join(languageDir(lang), `${page}.html`);
+            writeOutput(file, rewriteAssetReferences(fs.readFileSync(file, 'utf8'), manifest));
+        }
+    }
+    writeOutput(ASSET_MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+    writeOutput(CACHE_HEADERS_PATH, renderCacheHeaders(Object.values(manifest)));
+    return manifest;
+}
+
+/**
+ * Files the service worker precaches, as absolute paths, with the
+ * fingerprinted files at the URLs in `assetUrls`.
+ */
+function precacheFiles(assetUrls) {
+    const files = ALL_LANGS.flatMap((lang) => [
+        ...PAGES.map((page) => path.join(languageDir(lang), `${page}.html`)),
+        path.join(languageDir(lang), 'search-index.json'),
+    ]);
+    files.push(...Object.values(assetUrls).map((url) => path.join(WEBSITE_DIR, url)));
+    files.push(...PRECACHE_FILES.map((file) => path.join(WEBSITE_DIR, file)));
+    // Dotfiles (.DS_Store and the like) are never committed, so they'd make
+    // sw.js depend on the machine it was built on
+    for (const dir of PRECACHE_DIRS) {
+        const entries = fs.readdirSync(path.join(WEBSITE_DIR, dir), { withFileTypes: true })
+            .filter((entry) => entry.isFile() && !entry.name.startsWith('.'));
+        files.push(...entries.map((entry) => path.join(WEBSITE_DIR, dir, entry.name)).sort());
+    }
+    return files;
+}
+
+/**
+ * Write sw.js with a precache manifest of every file's URL and content
+ * hash. Runs after everything else, so the hashes are of the files as
+ * deployed. `assetUrls` is where the pages load the fingerprinted files
+ * from (the plain names unless given).
+ */
+function buildServiceWorker(assetUrls = plainAssetUrls()) {
+    const manifest = precacheFiles(assetUrls).map((file) => ({
+        url: `/${path.relative(WEBSITE_DIR, file).split(path.sep).join('/')}`,
+        revision: contentHash(readOutput(file)),
+    }));
+    writeOutput(SERVICE_WORKER_PATH, renderServiceWorker(manifest));
+}
+
+function writeSiteVariables() {
+    writeOutput(SITE_VARS_PATH, `${JSON.stringify(siteVariables(), null, 2)}\n`);
 }
 
 function buildRobots() {
@@ -206,10 +979,115 @@ function buildRobots() {
         `Sitemap: ${SITE_ORIGIN}/sitemap.xml`,
         '',
     ].join('\n');
-    fs.writeFileSync(path.join(WEBSITE_DIR, 'robots.txt'), content);
+    writeOutput(path.join(WEBSITE_DIR, 'robots.txt'), content);
+}
+
+/**
+ * Warn about app settings strings the docs reference doesn't place, so a
+ * new setting shows up in review instead of going undocumented.
+ */
+function checkSettingsReference() {
+    const keys = new Set(ALL_LANGS.flatMap((lang) => [...loadAppStrings(lang).keys()]));
+    for (const key of unmappedKeys(loadSettingsReference(), [...keys])) {
+        console.warn(`  warning: app string "${key}" has no counterpart in data/settings-reference.json`);
+    }
+}
+
+/**
+ * Warn when the release manifest lags behind the changelog, i.e. a version
+ * was written up but its build hasn't been recorded yet.
+ */
+function checkRelease() {
+    const [latest] = loadChangelog();
+    const { version } = loadRelease();
+    if (latest && latest.version !== version) {
+        console.warn(`  warning: data/release.json is for ${version}, but CHANGELOG.md's latest version is ${latest.version}`);
+    }
+}
+
+/**
+ * The lines that differ between two versions of a file, after trimming
+ * what they share at either end, as `{ line, removed, added }` (`line` is
+ * the first differing line, 1-based).
+ */
+function changedLines(before, after) {
+    const oldLines = before.split('\n');
+    const newLines = after.split('\n');
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+    let removed = oldLines.slice(start, oldEnd);
+    let added = newLines.slice(start, newEnd);
+    if (removed.length === added.length) {
+        // Line-for-line edits: leave out the lines in between that match.
+        const differs = removed.map((line, index) => line !== added[index]);
+        removed = removed.filter((line, index) => differs[index]);
+        added = added.filter((line, index) => differs[index]);
+    }
+    return { line: start + 1, removed, added };
+}
+
+/**
+ * Compare the outputs collected in --check mode with the files on disk and
+ * print every difference. Returns the number of files that differ.
+ */
+function reportDrift(outputs) {
+    const sample = (lines, marker) => [
+        ...lines.slice(0, DRIFT_SAMPLE_LINES).map((line) => `      ${marker} ${line.trim()}`),
+        ...(lines.length > DRIFT_SAMPLE_LINES ? [`      ${marker} … ${lines.length - DRIFT_SAMPLE_LINES} more`] : []),
+    ];
+    let drifted = 0;
+    for (const [file, content] of [...outputs].sort(([a], [b]) => a.localeCompare(b))) {
+        const name = path.relative(WEBSITE_DIR, file);
+        const exists = fs.existsSync(file);
+        if (content === null) {
+            if (exists) {
+                console.log(`  ${name}: stale, would be deleted`);
+                drifted++;
+            }
+            continue;
+        }
+        if (!exists) {
+            console.log(`  ${name}: missing, would be created`);
+            drifted++;
+            continue;
+        }
+        const current = fs.readFileSync(file);
+        const generated = Buffer.isBuffer(content) ? content : Buffer.from(content);
+        if (current.equals(generated)) continue;
+        const { line, removed, added } = changedLines(current.toString('utf8'), generated.toString('utf8'));
+        console.log(`  ${name}: out of date from line ${line} (-${removed.length} +${added.length} lines)`);
+        console.log([...sample(removed, '-'), ...sample(added, '+')].join('\n'));
+        drifted++;
+    }
+    return drifted;
 }
 
 function main() {
+    const check = process.argv.includes('--check');
+    const fingerprint = process.argv.includes('--fingerprint');
+    if (check && fingerprint) {
+        console.error('--check and --fingerprint can\'t be combined: the committed tree is never fingerprinted.');
+        process.exitCode = 2;
+        return;
+    }
+    if (check) plannedOutputs = new Map();
+
+    console.log('Removing fingerprinted copies ...');
+    removeFingerprintedCopies();
+    console.log('Writing data/site-vars.json ...');
+    writeSiteVariables();
+    console.log('Checking settings reference ...');
+    checkSettingsReference();
+    console.log('Checking release manifest ...');
+    checkRelease();
+    console.log('Syncing source pages ...');
+    syncSourcePages();
     for (const lang of TARGET_LANGS) {
         console.log(`Building /${lang}/ ...`);
         buildLanguage(lang);
@@ -218,7 +1096,84 @@ function main() {
     buildSitemap();
     console.log('Writing robots.txt ...');
     buildRobots();
-    console.log('Done.');
+    console.log('Writing release feeds ...');
+    for (const lang of ALL_LANGS) {
+        buildFeeds(lang);
+    }
+    console.log('Writing update feeds ...');
+    buildUpdates();
+    console.log('Writing docs search indexes ...');
+    for (const lang of ALL_LANGS) {
+        buildSearchIndex(lang);
+    }
+    console.log('Writing sw.js ...');
+    buildServiceWorker();
+
+    if (fingerprint) {
+        console.log('Fingerprinting assets ...');
+        const manifest = fingerprintAssets();
+        console.log('Writing sw.js with the fingerprinted URLs ...');
+        buildServiceWorker(manifest);
+    }
+    if (!check) {
+        console.log('Done.');
+        return;
+    }
+    console.log('Comparing with the files on disk ...');
+    const drifted = reportDrift(plannedOutputs);
+    plannedOutputs = null;
+    if (drifted > 0) {
+        console.error(`${drifted} generated file(s) out of date; run \`node scripts/build-i18n.js\` and commit the result.`);
+        process.exitCode = 1;
+    } else {
+        console.log('All generated files are up to date.');
+    }
+}
+
+if (require.main === module) {
+    main();
 }
 
-main();
+module.exports = {
+    REPO_ROOT,
+    WEBSITE_DIR,
+    LOCALES_DIR,
+    CHANGELOG_PATH,
+    DOCS_CONTENT_DIR,
+    SITE_ORIGIN,
+    PAGES,
+    FINGERPRINTED_FILES,
+    LANGUAGES,
+    SOURCE_LANG,
+    TARGET_LANGS,
+    ALL_LANGS,
+    X_DEFAULT_LANG,
+    getLanguage,
+    pageUrl,
+    languageDir,
+    feedUrl,
+    loadFormats,
+    loadRelease,
+    loadAppStrings,
+    siteVariables,
+    loadLocale,
+    lookupKey,
+    requireKey,
+    parseAttrBindings,
+    loadChangelog,
+    localizeHtml,
+    translateBody,
+    clearCaches,
+    fingerprintAssets,
+    writeSiteVariables,
+    checkSettingsReference,
+    checkRelease,
+    syncSourcePages,
+    buildLanguage,
+    buildFeeds,
+    releaseUpdate,
+    buildUpdates,
+    buildSearchIndex,
+    buildServiceWorker,
+    main,
+};
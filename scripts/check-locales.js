@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+/**
+ * check-locales.js — Completeness and consistency checks for website/locales.
+ *
+ * Uses zh-Hant as the reference key tree (it is the source language of the
+ * HTML) and reports, per language:
+ *   1. Missing, extra and type-mismatched keys.
+ *   2. `data-i18n*` keys used by the pages or components that don't resolve
+ *      to a string in that locale.
+ *   3. Translated strings whose inline HTML (<br>, <strong>, <a>, ...) differs
+ *      from the reference string.
+ * Locale keys that nothing references are listed as warnings; pass --strict
+ * to treat them as failures too.
+ *
+ * Exits non-zero on any failure so it can gate deploys.
+ *
+ * Usage: node scripts/check-locales.js [--strict]
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    WEBSITE_DIR,
+    PAGES,
+    SOURCE_LANG,
+    TARGET_LANGS,
+    loadLocale,
+    lookupKey,
+    parseAttrBindings,
+} = require('./build-i18n');
+
+// Subtrees read by code paths other than data-i18n attributes or t() calls
+// (resolvePageMeta in the build, getPageMeta in the runtime, the hover
+// window labels <hover-demo> builds from its fixture, the download page's
+// release block, parts of which only render for some manifests).
+const IMPLICITLY_USED_PREFIXES = ['meta.', 'hoverDemo.window.', 'download.release.'];
+
+const I18N_ATTR_PATTERN = /data-i18n(?:-placeholder|-title)?="([^"]+)"/g;
+const I18N_ATTR_BINDINGS_PATTERN = /data-i18n-attr="([^"]+)"/g;
+const T_CALL_PATTERN = /\bt\(\s*["'`]([\w.]+)["'`]/g;
+
+/**
+ * Flatten a locale tree into a Map of "a.b.c" → leaf value. Objects are
+ * walked; anything else (string, number, array, null) is a leaf.
+ */
+function flattenLocale(tree, prefix = '', out = new Map()) {
+    for (const [key, value] of Object.entries(tree)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            out.set(keyPath, value);
+            flattenLocale(value, keyPath, out);
+        } else {
+            out.set(keyPath, value);
+        }
+    }
+    return out;
+}
+
+function describeType(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Compare one locale against the reference tree. Only reports the topmost
+ * missing/extra key of a subtree so a missing section isn't listed once per
+ * leaf.
+ */
+function diffKeyTrees(reference, target) {
+    const missing = [];
+    const extra = [];
+    const typeMismatches = [];
+
+    const isUnderReported = (keyPath, reported) =>
+        reported.some((parent) => keyPath.startsWith(`${parent}.`));
+
+    for (const [keyPath, refValue] of reference) {
+        if (!target.has(keyPath)) {
+            if (!isUnderReported(keyPath, missing)) missing.push(keyPath);
+            continue;
+        }
+        const refType = describeType(refValue);
+        const targetType = describeType(target.get(keyPath));
+        if (refType !== targetType && !isUnderReported(keyPath, typeMismatches)) {
+            typeMismatches.push(`${keyPath} (expected ${refType}, got ${targetType})`);
+        }
+    }
+    for (const keyPath of target.keys()) {
+        if (!reference.has(keyPath) && !isUnderReported(keyPath, extra)) extra.push(keyPath);
+    }
+
+    return { missing, extra, typeMismatches };
+}
+
+/**
+ * Reduce a string's inline markup to a sorted list of tag names, e.g.
+ * "a<br>b <strong>c</strong>" → ["/strong", "br", "strong"]. Sorting keeps
+ * the comparison independent of word order, which legitimately differs
+ * between languages.
+ */
+function markupSignature(value) {
+    const tags = [];
+    for (const match of value.matchAll(/<(\/?)([a-zA-Z][\w-]*)[^>]*>/g)) {
+        tags.push(`${match[1]}${match[2].toLowerCase()}`);
+    }
+    return tags.sort();
+}
+
+/**
+ * Collect every translation key referenced by the source pages and by the
+ * scripts that render markup or call t(). Returns Map key → Set of files.
+ */
+function collectUsedKeys() {
+    const sources = [
+        ...PAGES.map((page) => path.join(WEBSITE_DIR, `${page}.html`)),
+        path.join(WEBSITE_DIR, 'components.js'),
+        path.join(WEBSITE_DIR, 'i18n.js'),
+    ];
+    const used = new Map();
+    for (const file of sources) {
+        const content = fs.readFileSync(file, 'utf8');
+        const relative = path.relative(WEBSITE_DIR, file);
+        const keys = [I18N_ATTR_PATTERN, T_CALL_PATTERN].flatMap((pattern) =>
+            [...content.matchAll(pattern)].map((match) => match[1]));
+        for (const match of content.matchAll(I18N_ATTR_BINDINGS_PATTERN)) {
+            keys.push(...parseAttrBindings(match[1]).map(([, key]) => key));
+        }
+        for (const key of keys) {
+            if (!used.has(key)) used.set(key, new Set());
+            used.get(key).add(relative);
+        }
+    }
+    return used;
+}
+
+function checkLocales({ strict = false } = {}) {
+    const allLangs = [SOURCE_LANG, ...TARGET_LANGS];
+    const locales = Object.fromEntries(allLangs.map((lang) => [lang, loadLocale(lang)]));
+    const flat = Object.fromEntries(allLangs.map((lang) => [lang, flattenLocale(locales[lang])]));
+    const reference = flat[SOURCE_LANG];
+    const usedKeys = collectUsedKeys();
+
+    const failures = [];
+    const warnings = [];
+
+    for (const lang of TARGET_LANGS) {
+        const { missing, extra, typeMismatches } = diffKeyTrees(reference, flat[lang]);
+        missing.forEach((key) => failures.push(`[${lang}] missing key: ${key}`));
+        extra.forEach((key) => failures.push(`[${lang}] extra key: ${key}`));
+        typeMismatches.forEach((key) => failures.push(`[${lang}] type mismatch: ${key}`));
+
+        for (const [keyPath, refValue] of reference) {
+            const value = flat[lang].get(keyPath);
+            if (typeof refValue !== 'string' || typeof value !== 'string') continue;
+            const expected = markupSignature(refValue).join(' ');
+            const actual = markupSignature(value).join(' ');
+            if (expected !== actual) {
+                failures.push(
+                    `[${lang}] inline HTML differs: ${keyPath} (${SOURCE_LANG}: [${expected}], ${lang}: [${actual}])`,
+                );
+            }
+        }
+    }
+
+    for (const lang of allLangs) {
+        for (const [key, files] of usedKeys) {
+            if (lookupKey(locales[lang], key) === undefined) {
+                failures.push(`[${lang}] key used in ${[...files].join(', ')} is not defined: ${key}`);
+            }
+        }
+    }
+
+    for (const [keyPath, value] of reference) {
+        if (typeof value !== 'string') continue;
+        if (usedKeys.has(keyPath)) continue;
+        if (IMPLICITLY_USED_PREFIXES.some((prefix) => keyPath.startsWith(prefix))) continue;
+        (strict ? failures : warnings).push(`unused key: ${keyPath}`);
+    }
+
+    return { failures, warnings };
+}
+
+function main() {
+    const strict = process.argv.includes('--strict');
+    const { failures, warnings } = checkLocales({ strict });
+
+    for (const message of warnings) {
+        console.log(`  \x1b[33mWARN\x1b[0m ${message}`);
+    }
+    for (const message of failures) {
+        console.log(`  \x1b[31mFAIL\x1b[0m ${message}`);
+    }
+
+    console.log();
+    console.log('===============================');
+    console.log(`Failures: ${failures.length}`);
+    console.log(`Warnings: ${warnings.length}`);
+    console.log('===============================');
+
+    if (failures.length > 0) process.exit(1);
+    console.log('All locale checks passed.');
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    flattenLocale,
+    diffKeyTrees,
+    markupSignature,
+    collectUsedKeys,
+    checkLocales,
+};
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * dev-server.js — Serve website/ locally, rebuild what an edit affects and
+ * reload open browsers.
+ *
+ * Runs a full build first, then watches the build's inputs: the source
+ * pages, locales, CHANGELOG.md, the scripts and stylesheet every page loads,
+ * website/data/*.json and the docs articles. A change reruns only the
+ * build-i18n.js steps that depend on it (see `affectedSteps`), e.g. editing
+ * docs.html rebuilds docs.html in every language tree and the search
+ * indexes, not the whole site. sitemap.xml and robots.txt only change with
+ * website/languages.js, which needs a restart.
+ *
+ * Requests are routed the way Cloudflare Pages serves the deployed site:
+ *   /en/          → en/index.html
+ *   /docs         → docs.html, and /docs.html redirects to it
+ *   /en           → redirects to /en/
+ *   anything else → the nearest 404.html, or /index.html without one
+ *
+ * HTML responses get a small script that reloads the page after each
+ * rebuild, and /sw.js is replaced with a worker that clears any precache
+ * and unregisters itself, so the previous build is never served from cache.
+ *
+ * Usage: node scripts/dev-server.js [--port 8080]
+ */
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const build = require('./build-i18n');
+const { contentHash } = require('./lib/assets');
+
+const {
+    REPO_ROOT,
+    WEBSITE_DIR,
+    LOCALES_DIR,
+    CHANGELOG_PATH,
+    DOCS_CONTENT_DIR,
+    PAGES,
+    FINGERPRINTED_FILES,
+    SOURCE_LANG,
+    ALL_LANGS,
+    TARGET_LANGS,
+} = build;
+
+const DEFAULT_PORT = 8080;
+const DEBOUNCE_MS = 100;
+const EVENTS_PATH = '/__dev/events';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+};
+
+const RELOAD_SCRIPT = `<script>new EventSource('${EVENTS_PATH}').addEventListener('reload', () => location.reload());</script>`;
+
+// Served in place of the generated sw.js: a precaching worker would keep
+// serving the previous build's pages after a rebuild.
+const DEV_SERVICE_WORKER = `self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        await Promise.all((await caches.keys()).map((key) => caches.delete(key)));
+        await self.registration.unregister();
+    })());
+});
+`;
+
+// ============================================
+// Rebuilds
+// ============================================
+
+/**
+ * What a change to `file` (relative to the repo root) rebuilds: `pages` in
+ * every language tree, plus any of `siteVars`, `feeds`, `updates` and
+ * `searchIndex`. Null for files the build doesn't
+ * read.
+ */
+function affectedSteps(file) {
+    const relative = path.relative(WEBSITE_DIR, path.join(REPO_ROOT, file)).split(path.sep).join('/');
+    const page = relative.match(/^([\w-]+)\.html$/)?.[1];
+
+    if (file === path.relative(REPO_ROOT, CHANGELOG_PATH)) {
+        return { pages: ['changelog'], feeds: true, updates: true };
+    }
+    if (PAGES.includes(page)) {
+        return { pages: [page], searchIndex: page === 'docs' };
+    }
+    if (ALL_LANGS.some((lang) => relative === `locales/${lang}.json`)) {
+        return { pages: PAGES, feeds: true, searchIndex: true };
+    }
+    if (FINGERPRINTED_FILES.includes(relative)) {
+        return { pages: [] };
+    }
+    if (relative === 'data/formats.json') {
+        return { pages: PAGES, siteVars: true, searchIndex: true };
+    }
+    if (relative === 'data/release.json') {
+        return { pages: PAGES, siteVars: true, updates: true, searchIndex: true };
+    }
+    if (relative === 'data/docs.json' || relative === 'data/settings-reference.json' || /^content\/docs\/[\w-]+\/[\w-]+\.md$/.test(relative)) {
+        return { pages: ['docs'], searchIndex: true };
+    }
+    if (relative === 'data/hover-demo.json') {
+        return { pages: [] };
+    }
+    return null;
+}
+
+/**
+ * Merge the steps for every changed file and run them in build order. The
+ * service worker is always rewritten last, since its manifest hashes
+ * whatever changed.
+ */
+function rebuild(files) {
+    const steps = files.map(affectedSteps).filter(Boolean);
+    const pages = PAGES.filter((page) => steps.some((step) => step.pages.includes(page)));
+    const any = (name) => steps.some((step) => step[name]);
+
+    if (files.includes(path.join('website', 'languages.js'))) {
+        console.warn('  languages.js changed; restart the dev server to pick up added or removed languages');
+    }
+    build.clearCaches();
+    if (any('siteVars')) build.writeSiteVariables();
+    if (pages.length) {
+        build.syncSourcePages(pages);
+        for (const lang of TARGET_LANGS) build.buildLanguage(lang, pages);
+    }
+    if (any('feeds')) ALL_LANGS.forEach((lang) => build.buildFeeds(lang));
+    if (any('updates')) {
+        build.checkRelease();
+        build.buildUpdates();
+    }
+    if (any('searchIndex')) ALL_LANGS.forEach((lang) => build.buildSearchIndex(lang));
+    build.buildServiceWorker();
+    return pages;
+}
+
+// ============================================
+// Watching
+// ============================================
+
+function watchedDirs() {
+    const docsDirs = fs.readdirSync(DOCS_CONTENT_DIR, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory())
+        .map((entry) => path.join(DOCS_CONTENT_DIR, entry.name));
+    return [REPO_ROOT, WEBSITE_DIR, LOCALES_DIR, path.join(WEBSITE_DIR, 'data'), ...docsDirs];
+}
+
+/**
+ * Call `onChange(files)` with the inputs whose content changed, batched
+ * over DEBOUNCE_MS. The build rewrites some of its own inputs (the source
+ * pages), so files are compared against their content after the last build
+ * rather than trusted on every event.
+ */
+function watchInputs(onChange) {
+    const hashes = new Map();
+    const snapshot = (file) => {
+        const fullPath = path.join(REPO_ROOT, file);
+        hashes.set(file, fs.existsSync(fullPath) ? contentHash(fs.readFileSync(fullPath)) : null);
+    };
+    const inputs = () => watchedDirs().flatMap((dir) =>
+        fs.readdirSync(dir).map((name) => path.relative(REPO_ROOT, path.join(dir, name))).filter(affectedSteps));
+    const snapshotAll = () => inputs().forEach(snapshot);
+
+    let pending = new Set();
+    let timer = null;
+    const flush = () => {
+        timer = null;
+        const changed = [...pending].filter((file) => {
+            const before = hashes.get(file);
+            snapshot(file);
+            return hashes.get(file) !== before;
+        });
+        pending = new Set();
+        if (changed.length === 0) return;
+        onChange(changed);
+        snapshotAll();
+    };
+
+    snapshotAll();
+    for (const dir of watchedDirs()) {
+        fs.watch(dir, (eventType, name) => {
+            if (!name) return;
+            const file = path.relative(REPO_ROOT, path.join(dir, name));
+            if (!affectedSteps(file)) return;
+            pending.add(file);
+            if (!timer) timer = setTimeout(flush, DEBOUNCE_MS);
+        });
+    }
+}
+
+// ============================================
+// Serving
+// ============================================
+
+/**
+ * Whether `file` is WEBSITE_DIR or inside it. A prefix test on the path
+ * would also let through siblings such as website-old/.
+ */
+function isInsideWebsite(file) {
+    const relative = path.relative(WEBSITE_DIR, file);
+    return relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+}
+
+/**
+ * How Pages answers `pathname`: `{ file }` to serve, `{ redirect }`, or
+ * `{ file, fallback: true }` when nothing matched.
+ */
+function route(pathname) {
+    const target = path.join(WEBSITE_DIR, pathname);
+    if (!isInsideWebsite(target)) return { file: null };
+    const isFile = (file) => fs.statSync(file, { throwIfNoEntry: false })?.isFile() === true;
+
+    if (pathname.endsWith('/index.html')) return { redirect: pathname.slice(0, -'index.html'.length) };
+    if (pathname.endsWith('.html')) return { redirect: pathname.slice(0, -'.html'.length) };
+    if (pathname.endsWith('/')) {
+        const index = path.join(target, 'index.html');
+        if (isFile(index)) return { file: index };
+    } else {
+        if (isFile(target)) return { file: target };
+        if (isFile(`${target}.html`)) return { file: `${target}.html` };
+        if (isFile(path.join(target, 'index.html'))) return { redirect: `${pathname}/` };
+    }
+
+    for (let dir = path.dirname(target); isInsideWebsite(dir); dir = path.dirname(dir)) {
+        const notFound = path.join(dir, '404.html');
+        if (isFile(notFound)) return { file: notFound, status: 404 };
+    }
+    return { file: path.join(WEBSITE_DIR, 'index.html'), fallback: true };
+}
+
+function createServer(clients) {
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        let pathname;
+        try {
+            pathname = decodeURIComponent(url.pathname);
+        } catch {
+            res.writeHead(400).end();
+            return;
+        }
+
+        if (pathname === EVENTS_PATH) {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+        if (pathname === '/sw.js') {
+            res.writeHead(200, { 'Content-Type': MIME_TYPES['.js'], 'Cache-Control': 'no-cache' });
+            res.end(DEV_SERVICE_WORKER);
+            return;
+        }
+
+        const { file, redirect, status = 200, fallback } = route(pathname);
+        if (redirect) {
+            res.writeHead(308, { Location: redirect + url.search });
+            res.end();
+            return;
+        }
+        if (!file) {
+            res.writeHead(404).end();
+            return;
+        }
+        if (fallback) console.warn(`  ${pathname}: no such file; serving /index.html as Pages does without a 404.html`);
+
+        const extension = path.extname(file);
+        let body;
+        try {
+            body = fs.readFileSync(file);
+        } catch (error) {
+            // The file can go between route() finding it and now, e.g. if it
+            // was deleted by hand while the server ran
+            console.warn(`  ${pathname}: ${error.message}`);
+            res.writeHead(404).end();
+            return;
+        }
+        if (extension === '.html') body = body.toString('utf8').replace(/<\/body>/i, `${RELOAD_SCRIPT}\n$&`);
+        res.writeHead(status, { 'Content-Type': MIME_TYPES[extension] || 'application/octet-stream', 'Cache-Control': 'no-cache' });
+        res.end(body);
+    });
+}
+
+function main() {
+    const portIndex = process.argv.indexOf('--port');
+    const port = portIndex === -1 ? DEFAULT_PORT : Number(process.argv[portIndex + 1]);
+    if (!Number.isInteger(port) || port <= 0) {
+        console.error(`Invalid --port "${process.argv[portIndex + 1]}"`);
+        process.exit(2);
+    }
+
+    build.main();
+
+    const clients = new Set();
+    watchInputs((files) => {
+        console.log(`Changed: ${files.join(', ')}`);
+        try {
+            const pages = rebuild(files);
+            console.log(`Rebuilt ${pages.length ? pages.join(', ') : 'sw.js'}; reloading ${clients.size} page(s).`);
+            for (const client of clients) client.write('event: reload\ndata: \n\n');
+        } catch (error) {
+            console.error(`Rebuild failed: ${error.message}`);
+        }
+    });
+
+    createServer(clients).listen(port, () => {
+        const languages = ALL_LANGS.map((lang) => (lang === SOURCE_LANG ? '/' : `/${lang}/`)).join(', ');
+        console.log(`Serving website/ at http://localhost:${port}/ (${languages}); watching for changes.`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,102 @@
+/**
+ * assets.js — Fingerprint the scripts, stylesheet, locales and site
+ * variables the pages load, so a deploy can never pair fresh HTML with a
+ * stale cached copy of them.
+ *
+ * Each file gets a copy named after its content hash
+ * (`components.js` → `components.3f2a9c1e.js`), and the pages' `<script
+ * src>` and `<link href>` references are rewritten to it. A changed file is
+ * a new URL, so the copies are served as immutable (see
+ * renderCacheHeaders). i18n.js builds its fetch URLs at runtime, so its
+ * copy gets the fingerprinted names filled into its `ASSET_URLS` table
+ * instead.
+ *
+ * This only happens at deploy time (`build-i18n.js --fingerprint`); the
+ * committed pages refer to the plain names. The unhashed originals are
+ * deployed too, for anything that links to them directly.
+ */
+
+const crypto = require('node:crypto');
+const path = require('node:path');
+const { scanTags, setTagAttr } = require('./html');
+
+const FINGERPRINT_LENGTH = 8;
+
+// "components.3f2a9c1e.js" → "components.js"
+const FINGERPRINT_PATTERN = new RegExp(`\\.[0-9a-f]{${FINGERPRINT_LENGTH}}(\\.\\w+)$`);
+
+const ASSET_URLS_DECLARATION = /^const ASSET_URLS = \{\};$/m;
+
+// A year, the longest lifetime caches honour.
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Short hex digest of a file's content.
+ */
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 16);
+}
+
+/**
+ * `file` (a path or URL) renamed after `content`'s hash.
+ */
+function fingerprintedName(file, content) {
+    const extension = path.posix.extname(file);
+    const hash = contentHash(content).slice(0, FINGERPRINT_LENGTH);
+    return `${file.slice(0, -extension.length)}.${hash}${extension}`;
+}
+
+/**
+ * The original name of a fingerprinted file; other names are returned as-is.
+ */
+function stripFingerprint(file) {
+    return file.replace(FINGERPRINT_PATTERN, '$1');
+}
+
+/**
+ * Point every `<script src>` and `<link href>` naming a file in `manifest`
+ * (original URL → fingerprinted URL) at its current copy. References that
+ * are already fingerprinted are matched by their original name, so the
+ * rewrite can run again on its own output.
+ */
+function rewriteAssetReferences(html, manifest) {
+    let result = '';
+    let last = 0;
+    for (const tag of scanTags(html)) {
+        const attr = { script: 'src', link: 'href' }[tag.name];
+        const url = attr && !tag.closing ? tag.attrs[attr] : undefined;
+        const target = url && manifest[stripFingerprint(url)];
+        if (!target || target === url) continue;
+        result += html.slice(last, tag.start) + setTagAttr(tag.source, attr, target);
+        last = tag.end;
+    }
+    return result + html.slice(last);
+}
+
+/**
+ * Fill i18n.js's `const ASSET_URLS = {};` with `urls` (original URL →
+ * fingerprinted URL).
+ */
+function injectAssetUrls(source, urls) {
+    if (!ASSET_URLS_DECLARATION.test(source)) {
+        throw new Error('i18n.js: could not find "const ASSET_URLS = {};" to fill in');
+    }
+    return source.replace(ASSET_URLS_DECLARATION, `const ASSET_URLS = ${JSON.stringify(urls)};`);
+}
+
+/**
+ * A Cloudflare Pages `_headers` file marking every URL in `urls` as
+ * immutable.
+ */
+function renderCacheHeaders(urls) {
+    return urls.map((url) => `${url}\n  Cache-Control: ${IMMUTABLE_CACHE_CONTROL}\n`).join('');
+}
+
+module.exports = {
+    contentHash,
+    fingerprintedName,
+    stripFingerprint,
+    rewriteAssetReferences,
+    injectAssetUrls,
+    renderCacheHeaders,
+};
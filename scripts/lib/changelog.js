@@ -0,0 +1,245 @@
+/**
+ * changelog.js — Parse the repo's CHANGELOG.md into per-version entries and
+ * render them as the static changelog page markup.
+ *
+ * Each `## Version x.y.z` section becomes one entry. The heading carries
+ * the release date, and a "(Current)" marker for the shipping release:
+ *
+ *   ## Version 1.9.0 (2025-06-01) (Current)
+ *
+ * The date is what the feeds and update endpoints publish, so a version
+ * without one fails the parse.
+ */
+
+const { parseMarkdown, renderMarkdown } = require('./markdown');
+const { escapeAttr, escapeHtmlText, indentHtml } = require('./html');
+
+// The date is optional here only so an undated heading is reported rather
+// than read as part of the previous version.
+const VERSION_HEADING = /^Version (\d+(?:\.\d+)+)(?: \((\d{4}-\d{2}-\d{2})\))?(?: \(Current\))?$/;
+
+/**
+ * Section types readers can filter by, in display order. A `###` heading is
+ * classified by its leading emoji first, then by keywords; anything else is
+ * "other" and only shows under "All".
+ */
+const SECTION_TYPES = [
+    { type: 'features', emoji: ['✨', '🆕', '🎨', '🎬', '⚙️', '🔄', '🔐'], keywords: /feature|new|support/i },
+    { type: 'fixes', emoji: ['🐛'], keywords: /fix|bug/i },
+    { type: 'performance', emoji: ['⚡', '🚀'], keywords: /performance|stability/i },
+    { type: 'localization', emoji: ['🌐', '🌍'], keywords: /locali[sz]ation|translation/i },
+    { type: 'technical', emoji: ['🔧', '🎯', '📦'], keywords: /technical|maintenance|code quality|distribution/i },
+];
+
+/**
+ * Stable fragment id for a version, e.g. "1.8.0" → "v1.8.0".
+ */
+function versionAnchor(version) {
+    return `v${version}`;
+}
+
+function classifySection(title) {
+    const trimmed = title.trim();
+    const byEmoji = SECTION_TYPES.find(({ emoji }) => emoji.some((symbol) => trimmed.startsWith(symbol)));
+    if (byEmoji) return byEmoji.type;
+    const byKeyword = SECTION_TYPES.find(({ keywords }) => keywords.test(trimmed));
+    return byKeyword ? byKeyword.type : 'other';
+}
+
+/**
+ * Compare dotted version strings numerically ("1.2.4.2" > "1.2.4").
+ */
+function compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * x.y.0 releases are feature releases; x.0.0 is treated as the initial
+ * release rather than a "major update".
+ */
+function isMajorVersion(version) {
+    return version.endsWith('.0') && !version.endsWith('.0.0');
+}
+
+/**
+ * Split CHANGELOG.md into `{ version, date, isCurrent, isMajor, blocks,
+ * sections }` entries, newest first, in file order. `date` is the release
+ * date from the heading (midnight UTC). `blocks` is the parsed Markdown body
+ * of the section with the trailing `---` separator removed; `sections`
+ * groups those blocks by `###` heading as `{ type, title, blocks }` (content
+ * before the first heading has type "intro" and no title).
+ */
+function parseChangelog(markdown) {
+    const entries = [];
+    let current = null;
+
+    for (const block of parseMarkdown(markdown)) {
+        const match = block.type === 'heading' && block.level === 2 && block.text.match(VERSION_HEADING);
+        if (match) {
+            const date = match[2] ? new Date(`${match[2]}T00:00:00Z`) : null;
+            // Date rolls 2025-02-30 over into March rather than rejecting it
+            if (date && (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== match[2])) {
+                throw new Error(`CHANGELOG.md: Version ${match[1]} has an invalid date "${match[2]}"`);
+            }
+            current = {
+                version: match[1],
+                date,
+                isCurrent: block.text.endsWith('(Current)'),
+                isMajor: isMajorVersion(match[1]),
+                blocks: [],
+            };
+            entries.push(current);
+        } else if (current) {
+            current.blocks.push(block);
+        }
+    }
+
+    const undated = entries.filter((entry) => !entry.date).map((entry) => entry.version);
+    if (undated.length > 0) {
+        throw new Error(`CHANGELOG.md: ${undated.length} version(s) have no release date, e.g. "## Version ${undated[0]} (YYYY-MM-DD)": ${undated.join(', ')}`);
+    }
+
+    for (const entry of entries) {
+        while (entry.blocks.length && entry.blocks[entry.blocks.length - 1].type === 'hr') {
+            entry.blocks.pop();
+        }
+        entry.sections = splitSections(entry.blocks);
+    }
+    return entries;
+}
+
+function splitSections(blocks) {
+    const sections = [];
+    let current = null;
+    for (const block of blocks) {
+        if (block.type === 'heading' && block.level === 3) {
+            current = { type: classifySection(block.text), title: block.text, blocks: [block] };
+            sections.push(current);
+        } else {
+            if (!current) {
+                current = { type: 'intro', title: null, blocks: [] };
+                sections.push(current);
+            }
+            current.blocks.push(block);
+        }
+    }
+    return sections;
+}
+
+/**
+ * Render an entry's body, one `.changelog-group` per section so the page
+ * can filter by type. Heading levels are kept as written, so `###` sections
+ * and `####` subsections land on the existing h3/h4 styles.
+ */
+function renderEntryBody(entry) {
+    return entry.sections
+        .map((section) => [
+            `<div class="changelog-group" data-type="${section.type}">`,
+            indentHtml(renderMarkdown(section.blocks), '  '),
+            '</div>',
+        ].join('\n'))
+        .join('\n');
+}
+
+const LINK_ICON = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/></svg>';
+
+/**
+ * Filter buttons (one per section type that actually occurs) and the
+ * "changes since version" selector.
+ */
+function renderToolbar(entries, translate) {
+    const presentTypes = new Set(entries.flatMap((entry) => entry.sections.map((section) => section.type)));
+    const types = ['all', ...SECTION_TYPES.map(({ type }) => type).filter((type) => presentTypes.has(type))];
+    const filterButtons = types.map((type) => {
+        const active = type === 'all';
+        const key = `changelog.types.${type}`;
+        return `    <button type="button" class="changelog-filter${active ? ' active' : ''}" data-type="${type}" aria-pressed="${active}" data-i18n="${key}">${escapeHtmlText(translate(key))}</button>`;
+    });
+    const sinceOptions = entries.slice(1).map(
+        (entry) => `      <option value="${escapeAttr(entry.version)}">${escapeHtmlText(entry.version)}</option>`,
+    );
+
+    return [
+        '<div class="changelog-toolbar">',
+        '  <div class="changelog-filters" role="group">',
+        `    <span class="changelog-toolbar-label" data-i18n="changelog.filterLabel">${escapeHtmlText(translate('changelog.filterLabel'))}</span>`,
+        ...filterButtons,
+        '  </div>',
+        '  <label class="changelog-since">',
+        `    <span class="changelog-toolbar-label" data-i18n="changelog.since.label">${escapeHtmlText(translate('changelog.since.label'))}</span>`,
+        '    <select id="changelog-since">',
+        `      <option value="" data-i18n="changelog.since.all">${escapeHtmlText(translate('changelog.since.all'))}</option>`,
+        ...sinceOptions,
+        '    </select>',
+        '  </label>',
+        '</div>',
+        `<p class="changelog-empty" hidden data-i18n="changelog.noMatches">${escapeHtmlText(translate('changelog.noMatches'))}</p>`,
+    ].join('\n');
+}
+
+/**
+ * Render the full changelog list. `translate(key)` resolves the page's
+ * locale strings; each label keeps its `data-i18n` key so the runtime
+ * fallback can still localize it.
+ */
+function renderChangelog(entries, translate) {
+    const label = (className, key) =>
+        `<span class="${className}" data-i18n="${key}">${escapeHtmlText(translate(key))}</span>`;
+
+    const articles = entries.map((entry, index) => {
+        const isLatest = index === 0 || entry.isCurrent;
+        const classes = `changelog-entry${entry.isMajor ? ' major' : ''}`;
+        const badges = [];
+        if (isLatest) {
+            badges.push(label('changelog-badge current', 'changelog.currentVersion'));
+        } else if (entry.isMajor) {
+            badges.push(label('changelog-badge major', 'changelog.majorUpdate'));
+        }
+        const anchor = escapeAttr(versionAnchor(entry.version));
+        const copyLabel = escapeAttr(translate('changelog.copyLink'));
+        return [
+            `<article class="${classes}" id="${anchor}" data-version="${escapeAttr(entry.version)}">`,
+            '  <div class="changelog-header">',
+            `    <a class="changelog-version" href="#${anchor}">${escapeHtmlText(entry.version)}</a>`,
+            ...badges.map((badge) => `    ${badge}`),
+            `    <button type="button" class="changelog-copy-link" data-anchor="${anchor}" title="${copyLabel}" data-i18n-title="changelog.copyLink">${LINK_ICON}</button>`,
+            '  </div>',
+            '  <div class="changelog-content">',
+            indentHtml(renderEntryBody(entry), '    '),
+            '  </div>',
+            '</article>',
+        ].join('\n');
+    });
+
+    const footer = [
+        '<div class="changelog-footer">',
+        '  <a href="https://github.com/KoukeNeko/FinderHover/blob/main/CHANGELOG.md" class="changelog-link" target="_blank" rel="noopener">',
+        `    ${label('changelog-link-text', 'changelog.viewFullChangelog')}`,
+        '    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">',
+        '      <path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/>',
+        '      <polyline points="15 3 21 3 21 9"/>',
+        '      <line x1="10" y1="14" x2="21" y2="3"/>',
+        '    </svg>',
+        '  </a>',
+        '</div>',
+    ].join('\n');
+
+    return [renderToolbar(entries, translate), ...articles, footer].join('\n');
+}
+
+module.exports = {
+    SECTION_TYPES,
+    versionAnchor,
+    classifySection,
+    compareVersions,
+    isMajorVersion,
+    parseChangelog,
+    renderEntryBody,
+    renderChangelog,
+};
@@ -0,0 +1,164 @@
+/**
+ * docs.js — Render the docs page from one Markdown file per article per
+ * language.
+ *
+ * website/data/docs.json orders the articles and groups them for the
+ * sidebar:
+ *
+ *   { groups: [{ title, articles: [id, …] }] }
+ *
+ * where `title` is a locale key and each id names
+ * website/content/docs/<lang>/<id>.md. The id is the article's anchor, so
+ * it's the same in every language. Within an article:
+ *
+ *   # Title               the article's <h2> and its sidebar link
+ *   ## Section {#anchor}  an <h3>; the anchor is required and must match
+ *                         across languages (`articleAnchors`)
+ *   ### Card              a run of these becomes a grid of cards
+ *   > [!TIP] Label        a tip (or [!WARNING]); the label defaults to the
+ *   > Text …              locale's docs.tip / docs.warning
+ *   <!-- embed: name -->  an element from EMBEDS
+ */
+
+const { escapeAttr, escapeHtmlText, htmlToText, indentHtml } = require('./html');
+const { parseMarkdown, renderMarkdown, renderInline } = require('./markdown');
+
+// Elements an article can place with `<!-- embed: name -->`. The reference
+// tables are filled in afterwards from the app's strings.
+const EMBEDS = {
+    'hover-demo': '<hover-demo></hover-demo>',
+    'settings-reference': '<div id="settings-reference" class="docs-reference"></div>',
+    'metadata-fields-reference': '<div id="metadata-fields-reference" class="docs-reference"></div>',
+};
+
+const CALLOUTS = {
+    TIP: { className: 'docs-tip', key: 'docs.tip' },
+    WARNING: { className: 'docs-warning', key: 'docs.warning' },
+};
+
+const CALLOUT_MARKER = /^\[!(\w+)\][ \t]*(.*)(?:\n|$)/;
+const EMBED_COMMENT = /^<!--\s*embed:\s*([\w-]+)\s*-->$/;
+
+/**
+ * Parse an article into `{ title, blocks }`. `fileName` is only used in
+ * error messages.
+ */
+function parseArticle(markdown, fileName) {
+    const [first, ...blocks] = parseMarkdown(markdown);
+    if (!first || first.type !== 'heading' || first.level !== 1) {
+        throw new Error(`${fileName}: an article must start with a "# Title" heading`);
+    }
+    for (const block of blocks) {
+        if (block.type !== 'heading') continue;
+        if (block.level === 1) throw new Error(`${fileName}: only the title may be a "#" heading`);
+        if (block.level === 2 && !block.id) {
+            throw new Error(`${fileName}: "## ${block.text}" needs an anchor, e.g. "## ${block.text} {#some-id}"`);
+        }
+    }
+    return { title: first.text, blocks };
+}
+
+/**
+ * The section anchors of a parsed article, in order.
+ */
+function articleAnchors(article) {
+    return article.blocks.filter((block) => block.type === 'heading' && block.level === 2).map((block) => block.id);
+}
+
+function renderCallout(block, translate) {
+    const [first, ...rest] = block.children;
+    const marker = first && first.type === 'paragraph' ? first.text.match(CALLOUT_MARKER) : null;
+    const callout = marker && CALLOUTS[marker[1].toUpperCase()];
+    if (!callout) return null;
+
+    const text = first.text.slice(marker[0].length);
+    const paragraphs = text ? [{ ...first, text }, ...rest] : rest;
+    if (paragraphs.some((child) => child.type !== 'paragraph')) {
+        throw new Error(`[!${marker[1]}] may only contain paragraphs`);
+    }
+    const label = marker[2]
+        ? `<strong>${renderInline(marker[2])}</strong>`
+        : `<strong data-i18n="${callout.key}">${escapeHtmlText(translate(callout.key))}</strong>`;
+    const body = paragraphs.map((child) => renderInline(child.text)).join('<br />');
+    return `<div class="${callout.className}">${label} <span>${body}</span></div>`;
+}
+
+function renderCards(cards) {
+    const markup = cards.map(({ heading, blocks }) => [
+        '<div class="docs-card">',
+        `  <h4>${renderInline(heading.text)}</h4>`,
+        indentHtml(renderMarkdown(blocks), '  '),
+        '</div>',
+    ].join('\n'));
+    return ['<div class="docs-grid">', indentHtml(markup.join('\n'), '  '), '</div>'].join('\n');
+}
+
+function renderArticleBody(blocks, translate) {
+    const parts = [];
+    let cards = [];
+    const flushCards = () => {
+        if (cards.length) parts.push(renderCards(cards));
+        cards = [];
+    };
+
+    for (const block of blocks) {
+        if (block.type === 'heading' && block.level === 3) {
+            cards.push({ heading: block, blocks: [] });
+            continue;
+        }
+        if (cards.length && block.type !== 'heading') {
+            cards[cards.length - 1].blocks.push(block);
+            continue;
+        }
+        flushCards();
+
+        const embed = block.type === 'html' && block.text.trim().match(EMBED_COMMENT);
+        if (embed) {
+            if (!(embed[1] in EMBEDS)) throw new Error(`Unknown docs embed "${embed[1]}"`);
+            parts.push(EMBEDS[embed[1]]);
+        } else {
+            const callout = block.type === 'blockquote' ? renderCallout(block, translate) : null;
+            parts.push(callout ?? renderMarkdown([block], { headingOffset: 1 }));
+        }
+    }
+    flushCards();
+    return parts.join('\n\n');
+}
+
+/**
+ * Markup for `<main class="docs-content">`. `articles` maps id → parsed
+ * article; `translate(key)` resolves a locale string.
+ */
+function renderDocsContent(manifest, articles, translate) {
+    return manifest.groups.flatMap((group) => group.articles).map((id) => {
+        const article = articles.get(id);
+        return [
+            `<article id="${escapeAttr(id)}" class="docs-article">`,
+            `  <h2>${renderInline(article.title)}</h2>`,
+            '',
+            indentHtml(renderArticleBody(article.blocks, translate), '  '),
+            '</article>',
+        ].join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Markup for `<nav class="docs-nav">`: each group's title, then a link to
+ * each of its articles labelled with the article's title.
+ */
+function renderDocsNav(manifest, articles, translate) {
+    return manifest.groups.map((group) => [
+        `<h4 data-i18n="${escapeAttr(group.title)}">${escapeHtmlText(translate(group.title))}</h4>`,
+        ...group.articles.map((id) => {
+            const title = htmlToText(renderInline(articles.get(id).title));
+            return `<a href="#${escapeAttr(id)}">${escapeHtmlText(title)}</a>`;
+        }),
+    ].join('\n')).join('\n');
+}
+
+module.exports = {
+    parseArticle,
+    articleAnchors,
+    renderDocsContent,
+    renderDocsNav,
+};
@@ -0,0 +1,81 @@
+/**
+ * feed.js — Serialize the release history as Atom 1.0 and JSON Feed 1.1.
+ *
+ * Both renderers take the same description:
+ *
+ *   { title, description, language, homePageUrl, atomUrl, jsonUrl, items }
+ *
+ * where each item is `{ id, url, title, html, date }` and `date` is a Date.
+ * Items are emitted in the order given (newest first). There must be at
+ * least one: the Atom feed is dated by its newest item, and an empty feed
+ * is nothing worth subscribing to.
+ */
+
+const { escapeAttr, escapeHtmlText } = require('./html');
+
+function requireItems(feed) {
+    if (feed.items.length === 0) {
+        throw new Error(`${feed.title}: a feed needs at least one item`);
+    }
+}
+
+/**
+ * The newest item's date, which dates the feed as a whole.
+ */
+function latestDate(items) {
+    return new Date(Math.max(...items.map((item) => item.date.getTime())));
+}
+
+function renderAtomFeed(feed) {
+    requireItems(feed);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeAttr(feed.language)}">`,
+        `  <title>${escapeHtmlText(feed.title)}</title>`,
+        `  <subtitle>${escapeHtmlText(feed.description)}</subtitle>`,
+        `  <id>${escapeHtmlText(feed.atomUrl)}</id>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeAttr(feed.atomUrl)}" />`,
+        `  <link rel="alternate" type="text/html" href="${escapeAttr(feed.homePageUrl)}" />`,
+        `  <updated>${latestDate(feed.items).toISOString()}</updated>`,
+        '  <author><name>FinderHover</name></author>',
+    ];
+    for (const item of feed.items) {
+        lines.push(
+            '  <entry>',
+            `    <title>${escapeHtmlText(item.title)}</title>`,
+            `    <id>${escapeHtmlText(item.id)}</id>`,
+            `    <link rel="alternate" type="text/html" href="${escapeAttr(item.url)}" />`,
+            `    <updated>${item.date.toISOString()}</updated>`,
+            `    <content type="html">${escapeHtmlText(item.html)}</content>`,
+            '  </entry>',
+        );
+    }
+    lines.push('</feed>', '');
+    return lines.join('\n');
+}
+
+function renderJsonFeed(feed) {
+    requireItems(feed);
+    const json = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        description: feed.description,
+        language: feed.language,
+        home_page_url: feed.homePageUrl,
+        feed_url: feed.jsonUrl,
+        authors: [{ name: 'FinderHover' }],
+        items: feed.items.map((item) => ({
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            content_html: item.html,
+            date_published: item.date.toISOString(),
+        })),
+    };
+    return `${JSON.stringify(json, null, 2)}\n`;
+}
+
+module.exports = {
+    renderAtomFeed,
+    renderJsonFeed,
+};
@@ -0,0 +1,95 @@
+/**
+ * formats.js — Render the supported-formats page from the catalogue in
+ * website/data/formats.json and derive the counts the site quotes.
+ *
+ * Catalogue shape:
+ *
+ *   { categories: [{ id, icon, title, description, special?, formats, metadata }] }
+ *
+ * `icon` is the list of SVG child elements, `title`/`description`/`special`
+ * and every `metadata` entry are locale keys, and each format is
+ * `{ name, extensions, uti?, mime? }`. `special` replaces the tag grid for
+ * categories that aren't tied to file extensions (Git, system metadata).
+ */
+
+const { escapeAttr, escapeHtmlText } = require('./html');
+
+/**
+ * Number of distinct formats the page lists. A format shown in two
+ * categories (HTML is both code and web) is counted once.
+ */
+function countFormats(catalogue) {
+    const names = new Set();
+    for (const category of catalogue.categories) {
+        for (const format of category.formats) names.add(format.name.toLowerCase());
+    }
+    return names.size;
+}
+
+/**
+ * Values locale strings can reference as `{formatCount}` and
+ * `{categoryCount}`. Both are exact, so the copy always matches what the
+ * formats page lists.
+ */
+function catalogueStats(catalogue) {
+    return {
+        formatCount: countFormats(catalogue),
+        categoryCount: catalogue.categories.length,
+    };
+}
+
+function describeFormat(format) {
+    return [
+        ...format.extensions.map((ext) => `.${ext}`),
+        format.uti,
+        format.mime,
+    ].filter(Boolean).join(' · ');
+}
+
+function renderCategory(category, translate) {
+    const text = (key) => escapeHtmlText(translate(key));
+    const tags = category.special
+        ? [`<span class="format-tag special" data-i18n="${category.special}">${text(category.special)}</span>`]
+        : category.formats.map(
+            (format) => `<span class="format-tag" title="${escapeAttr(describeFormat(format))}">${escapeHtmlText(format.name)}</span>`,
+        );
+
+    return [
+        `<article class="formats-category" id="${escapeAttr(category.id)}">`,
+        '  <div class="formats-header">',
+        '    <span class="formats-icon">',
+        '      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">',
+        ...category.icon.map((element) => `        ${element}`),
+        '      </svg>',
+        '    </span>',
+        '    <div>',
+        `      <h2 data-i18n="${category.title}">${text(category.title)}</h2>`,
+        `      <p data-i18n="${category.description}">${text(category.description)}</p>`,
+        '    </div>',
+        '  </div>',
+        '  <div class="formats-grid">',
+        ...tags.map((tag) => `    ${tag}`),
+        '  </div>',
+        '  <div class="formats-meta">',
+        `    <h4 data-i18n="formats.metadataReadable">${text('formats.metadataReadable')}</h4>`,
+        '    <ul>',
+        ...category.metadata.map((key) => `      <li data-i18n="${key}">${text(key)}</li>`),
+        '    </ul>',
+        '  </div>',
+        '</article>',
+    ].join('\n');
+}
+
+/**
+ * Render every category card. `translate(key)` resolves the page's locale
+ * strings; labels keep their `data-i18n` keys for the runtime fallback.
+ */
+function renderFormatsCatalogue(catalogue, translate) {
+    return catalogue.categories.map((category) => renderCategory(category, translate)).join('\n\n');
+}
+
+module.exports = {
+    countFormats,
+    catalogueStats,
+    renderFormatsCatalogue,
+};
@@ -0,0 +1,220 @@
+/**
+ * html.js — Minimal HTML tag scanner shared by the website build scripts.
+ *
+ * The site's HTML is hand-written and well-formed, so we don't need a full
+ * HTML5 parser: a tag tokenizer that understands comments, raw-text elements
+ * (<script>, <style>) and void elements is enough to locate elements, read
+ * their attributes and splice their contents without touching anything else.
+ */
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr',
+]);
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+
+const TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTR_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function parseAttrs(source) {
+    const attrs = {};
+    ATTR_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = ATTR_PATTERN.exec(source))) {
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attrs[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attrs;
+}
+
+function decodeEntities(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&nbsp;/g, '\u00a0')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Iterate over every tag in `html` in document order, skipping comments and
+ * the contents of raw-text elements. Yields
+ * `{ name, closing, selfClosing, attrs, start, end, source }`, where
+ * start/end are offsets of the tag itself.
+ */
+function* scanTags(html, from = 0, to = html.length) {
+    const pattern = new RegExp(TAG_PATTERN.source, 'g');
+    pattern.lastIndex = from;
+    let match;
+    while ((match = pattern.exec(html)) && match.index < to) {
+        if (match[0].startsWith('<!--')) continue;
+        const name = match[2].toLowerCase();
+        const closing = match[1] === '/';
+        const tag = {
+            name,
+            closing,
+            selfClosing: match[4] === '/' || VOID_ELEMENTS.has(name),
+            attrs: closing ? {} : parseAttrs(match[3]),
+            start: match.index,
+            end: match.index + match[0].length,
+            source: match[0],
+        };
+        yield tag;
+        if (!closing && RAW_TEXT_ELEMENTS.has(name)) {
+            const closeIndex = html.toLowerCase().indexOf(`</${name}`, tag.end);
+            pattern.lastIndex = closeIndex === -1 ? html.length : closeIndex;
+        }
+    }
+}
+
+/**
+ * Given an opening tag returned by scanTags, locate its matching closing tag.
+ * Returns `{ innerStart, innerEnd, end }` offsets, or null for void tags.
+ */
+function findElementEnd(html, openTag) {
+    if (openTag.selfClosing) return null;
+    if (RAW_TEXT_ELEMENTS.has(openTag.name)) {
+        const closeIndex = html.toLowerCase().indexOf(`</${openTag.name}`, openTag.end);
+        const closeEnd = html.indexOf('>', closeIndex) + 1;
+        return { innerStart: openTag.end, innerEnd: closeIndex, end: closeEnd };
+    }
+    let depth = 1;
+    for (const tag of scanTags(html, openTag.end)) {
+        if (tag.name !== openTag.name || tag.selfClosing) continue;
+        depth += tag.closing ? -1 : 1;
+        if (depth === 0) {
+            return { innerStart: openTag.end, innerEnd: tag.start, end: tag.end };
+        }
+    }
+    throw new Error(`Unclosed <${openTag.name}> at offset ${openTag.start}`);
+}
+
+/**
+ * Collect every element whose opening tag satisfies `predicate`, within the
+ * optional [from, to) range. Nested matches are included.
+ */
+function findElements(html, predicate, from = 0, to = html.length) {
+    const elements = [];
+    for (const tag of scanTags(html, from, to)) {
+        if (tag.closing || !predicate(tag)) continue;
+        const range = findElementEnd(html, tag);
+        elements.push({ tag, ...(range || { innerStart: tag.end, innerEnd: tag.end, end: tag.end }) });
+    }
+    return elements;
+}
+
+function hasClass(tag, className) {
+    return (tag.attrs.class || '').split(/\s+/).includes(className);
+}
+
+function escapeAttr(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function escapeHtmlText(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Set (or add) an attribute on a single opening-tag string, preserving the
+ * rest of the tag verbatim.
+ */
+function setTagAttr(tagSource, name, value) {
+    const escaped = escapeAttr(value);
+    const existing = new RegExp(`(\\s${name}\\s*=\\s*)(?:"[^"]*"|'[^']*'|[^\\s"'=<>\`]+)`, 'i');
+    if (existing.test(tagSource)) {
+        return tagSource.replace(existing, (_, prefix) => `${prefix}"${escaped}"`);
+    }
+    return tagSource.replace(/\s*(\/?)>$/, (_, slash) => ` ${name}="${escaped}"${slash ? ' /' : ''}>`);
+}
+
+/**
+ * Indent every line of an HTML fragment, leaving <pre> contents untouched
+ * so preformatted text keeps its whitespace.
+ */
+function indentHtml(fragment, indent) {
+    let inPre = false;
+    return fragment
+        .split('\n')
+        .map((line) => {
+            const shouldIndent = !inPre && line.trim() !== '';
+            const opens = (line.match(/<pre[\s>]/g) || []).length;
+            const closes = (line.match(/<\/pre>/g) || []).length;
+            if (opens > closes) inPre = true;
+            else if (closes > opens) inPre = false;
+            return shouldIndent ? indent + line : line;
+        })
+        .join('\n');
+}
+
+/**
+ * Replace the inner HTML of the first element matching `predicate`. The new
+ * content is indented one level deeper than the element's opening tag.
+ */
+function replaceElementContent(html, predicate, content, label) {
+    const [element] = findElements(html, predicate);
+    if (!element) throw new Error(`Could not locate ${label}`);
+    const lineStart = html.lastIndexOf('\n', element.tag.start) + 1;
+    const indent = html.slice(lineStart, element.tag.start).match(/^[ \t]*/)[0];
+    const inner = `\n${indentHtml(content, `${indent}  `)}\n${indent}`;
+    return html.slice(0, element.innerStart) + inner + html.slice(element.innerEnd);
+}
+
+/**
+ * Replace the inner HTML of every element matching `predicate` in place,
+ * for short inline content that shouldn't be reflowed onto its own lines.
+ */
+function replaceInlineContent(html, predicate, content) {
+    const elements = findElements(html, predicate);
+    for (const element of elements.reverse()) {
+        html = html.slice(0, element.innerStart) + content + html.slice(element.innerEnd);
+    }
+    return html;
+}
+
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'details', 'div', 'dl', 'dt',
+    'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr',
+    'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'td', 'th', 'tr', 'ul',
+]);
+
+/**
+ * Plain text of an HTML fragment, roughly what `textContent` gives in the
+ * browser but with block boundaries turned into spaces and whitespace
+ * collapsed. Comments and <script>/<style> contents are dropped.
+ */
+function htmlToText(fragment) {
+    let text = '';
+    let cursor = 0;
+    for (const tag of scanTags(fragment)) {
+        text += fragment.slice(cursor, tag.start);
+        if (BLOCK_ELEMENTS.has(tag.name)) text += ' ';
+        cursor = tag.end;
+        if (!tag.closing && RAW_TEXT_ELEMENTS.has(tag.name)) {
+            cursor = findElementEnd(fragment, tag).end;
+        }
+    }
+    text += fragment.slice(cursor);
+    return decodeEntities(text.replace(/<!--[\s\S]*?-->/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+module.exports = {
+    VOID_ELEMENTS,
+    scanTags,
+    findElementEnd,
+    findElements,
+    hasClass,
+    escapeAttr,
+    escapeHtmlText,
+    htmlToText,
+    setTagAttr,
+    indentHtml,
+    replaceElementContent,
+    replaceInlineContent,
+};
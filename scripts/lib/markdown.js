@@ -0,0 +1,565 @@
+/**
+ * markdown.js — Small, dependency-free Markdown → HTML renderer for the
+ * website build.
+ *
+ * Covers the CommonMark subset our Markdown sources (CHANGELOG.md, docs)
+ * actually use: ATX headings, paragraphs, nested ordered/unordered lists
+ * (tight and loose), blockquotes, fenced code, thematic breaks, inline
+ * markup (code spans, strong/emphasis, links, images, autolinks, hard
+ * breaks) and raw HTML. A heading may end in `{#anchor}` to set its id.
+ * Tables and setext headings are not supported.
+ *
+ * Output is safe to embed as-is: all text is escaped, link/image URLs are
+ * restricted to http(s), mailto, relative and fragment URLs, and raw HTML is
+ * only kept for an allow-list of tags and attributes — everything else is
+ * rendered as escaped text.
+ */
+
+const { escapeAttr, escapeHtmlText } = require('./html');
+
+const ALLOWED_HTML = {
+    img: ['src', 'alt', 'width', 'height', 'title'],
+    br: [],
+    kbd: [],
+    sub: [],
+    sup: [],
+    details: ['open'],
+    summary: [],
+};
+
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*)|[ \t]*$)/;
+const HTML_BLOCK = /^ {0,3}<\/?([a-zA-Z][\w-]*)(?:\s|\/?>|$)|^ {0,3}<!--/;
+const HEADING_ANCHOR = /[ \t]+\{#([\w-]+)\}$/;
+
+function isBlank(line) {
+    return /^[ \t]*$/.test(line);
+}
+
+function expandTabs(line) {
+    return line.replace(/\t/g, '    ');
+}
+
+/**
+ * Strip up to `count` columns of leading whitespace from a line.
+ */
+function dedent(line, count) {
+    let index = 0;
+    while (index < count && line[index] === ' ') index++;
+    return line.slice(index);
+}
+
+function leadingSpaces(line) {
+    return line.length - line.trimStart().length;
+}
+
+/**
+ * True when `line` would start a block other than a paragraph continuation.
+ * Used to end paragraphs and list-item lazy continuation.
+ */
+function startsBlock(line) {
+    return (
+        HEADING.test(line) ||
+        THEMATIC_BREAK.test(line) ||
+        FENCE.test(line) ||
+        BLOCKQUOTE.test(line) ||
+        LIST_ITEM.test(line) ||
+        HTML_BLOCK.test(line)
+    );
+}
+
+// ============================================
+// Block parsing
+// ============================================
+
+function parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const [, indent, marker, info] = fence;
+            const body = [];
+            i++;
+            while (i < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}[ \\t]*$`).test(lines[i])) {
+                body.push(dedent(lines[i], indent.length));
+                i++;
+            }
+            i++; // closing fence (or EOF)
+            blocks.push({ type: 'code', lang: info, text: body.join('\n') });
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            const text = heading[2] || '';
+            const anchor = text.match(HEADING_ANCHOR);
+            blocks.push({
+                type: 'heading',
+                level: heading[1].length,
+                text: anchor ? text.slice(0, anchor.index) : text,
+                id: anchor ? anchor[1] : null,
+            });
+            i++;
+            continue;
+        }
+
+        if (THEMATIC_BREAK.test(line)) {
+            blocks.push({ type: 'hr' });
+            i++;
+            continue;
+        }
+
+        if (BLOCKQUOTE.test(line)) {
+            const body = [];
+            while (i < lines.length && !isBlank(lines[i]) && (BLOCKQUOTE.test(lines[i]) || !startsBlock(lines[i]))) {
+                body.push(lines[i].replace(BLOCKQUOTE, ''));
+                i++;
+            }
+            blocks.push({ type: 'blockquote', children: parseBlocks(body) });
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const { block, next } = parseList(lines, i);
+            blocks.push(block);
+            i = next;
+            continue;
+        }
+
+        if (HTML_BLOCK.test(line)) {
+            const body = [];
+            while (i < lines.length && !isBlank(lines[i])) {
+                body.push(lines[i]);
+                i++;
+            }
+            blocks.push({ type: 'html', text: body.join('\n') });
+            continue;
+        }
+
+        const body = [];
+        while (i < lines.length && !isBlank(lines[i]) && (body.length === 0 || !startsBlock(lines[i]))) {
+            body.push(lines[i].trimStart());
+            i++;
+        }
+        // Keep inner trailing spaces: two of them mark a hard line break.
+        blocks.push({ type: 'paragraph', text: body.join('\n').trimEnd() });
+    }
+
+    return blocks;
+}
+
+/**
+ * Parse a list starting at `lines[start]`. Items continue while lines are
+ * indented at least to the item's content column; a blank line between
+ * items (or between blocks inside an item) makes the list loose.
+ */
+function parseList(lines, start) {
+    const first = lines[start].match(LIST_ITEM);
+    const ordered = /\d/.test(first[2]);
+    const delimiter = first[2].slice(-1);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM);
+        if (!match) break;
+        const isOrdered = /\d/.test(match[2]);
+        if (isOrdered !== ordered || match[2].slice(-1) !== delimiter) break;
+
+        const markerWidth = match[1].length + match[2].length;
+        const gap = match[3] ? match[3].length : 1;
+        // A gap of 5+ spaces means indented code; treat it as a single space.
+        const contentIndent = markerWidth + (gap > 4 ? 1 : gap);
+        const itemLines = [match[4] || ''];
+        i++;
+
+        let sawBlank = false;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                sawBlank = true;
+                itemLines.push('');
+                i++;
+                continue;
+            }
+            if (leadingSpaces(line) >= contentIndent) {
+                const dedented = dedent(line, contentIndent);
+                // A blank line between two of the item's own blocks.
+                if (sawBlank && leadingSpaces(dedented) === 0) loose = true;
+                itemLines.push(dedented);
+                sawBlank = false;
+                i++;
+                continue;
+            }
+            // Lazy continuation of a paragraph inside the item.
+            if (!sawBlank && !startsBlock(line)) {
+                itemLines.push(line.trim());
+                i++;
+                continue;
+            }
+            break;
+        }
+
+        // Trailing blanks sit between items; they make the list loose only
+        // when another item of this list follows.
+        while (itemLines.length > 1 && itemLines[itemLines.length - 1] === '') itemLines.pop();
+        if (sawBlank && i < lines.length) {
+            const next = lines[i].match(LIST_ITEM);
+            if (next && /\d/.test(next[2]) === ordered && next[2].slice(-1) === delimiter) loose = true;
+        }
+
+        items.push(parseBlocks(itemLines));
+    }
+
+    const startNumber = ordered ? parseInt(first[2], 10) : null;
+    return { block: { type: 'list', ordered, start: startNumber, loose, items }, next: i };
+}
+
+// ============================================
+// Inline parsing
+// ============================================
+
+function sanitizeUrl(url) {
+    const trimmed = url.trim();
+    if (/^(https?:|mailto:)/i.test(trimmed)) return trimmed;
+    if (/^[a-z][a-z0-9+.-]*:/i.test(trimmed)) return null;
+    return trimmed;
+}
+
+/**
+ * Re-emit a raw HTML tag if it's on the allow-list, keeping only allowed
+ * attributes (and only safe URLs in src). Returns null to have the caller
+ * escape the tag as text instead.
+ */
+function sanitizeHtmlTag(tag) {
+    const match = tag.match(/^<(\/?)([a-zA-Z][\w-]*)([^>]*?)(\/?)>$/);
+    if (!match) return null;
+    const [, closing, rawName, rawAttrs] = match;
+    const name = rawName.toLowerCase();
+    if (!(name in ALLOWED_HTML)) return null;
+    if (closing) return `</${name}>`;
+
+    const attrs = [];
+    for (const attr of rawAttrs.matchAll(/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g)) {
+        const attrName = attr[1].toLowerCase();
+        if (!ALLOWED_HTML[name].includes(attrName)) continue;
+        let value = attr[2] ?? attr[3] ?? attr[4] ?? '';
+        if (attrName === 'src') {
+            value = sanitizeUrl(value);
+            if (value === null) continue;
+        }
+        attrs.push(` ${attrName}="${escapeAttr(value)}"`);
+    }
+    return `<${name}${attrs.join('')}${name === 'img' || name === 'br' ? ' /' : ''}>`;
+}
+
+/**
+ * Find the index of the `]` that closes the `[` at `open`, honoring nesting
+ * and backslash escapes.
+ */
+function findClosingBracket(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '[') {
+            depth++;
+        } else if (text[i] === ']') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Parse a `(url "title")` link destination at `text[start]`. Returns
+ * `{ url, title, end }` or null.
+ */
+function parseLinkDestination(text, start) {
+    if (text[start] !== '(') return null;
+    const match = text.slice(start).match(/^\(\s*(<[^>]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+("[^"]*"|'[^']*'))?\s*\)/);
+    if (!match) return null;
+    const url = match[1].replace(/^<|>$/g, '');
+    const title = match[2] ? match[2].slice(1, -1) : null;
+    return { url, title, end: start + match[0].length };
+}
+
+function isWordChar(char) {
+    return !!char && /[\p{L}\p{N}]/u.test(char);
+}
+
+function renderInline(text) {
+    let out = '';
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+
+        if (char === '\\' && i + 1 < text.length) {
+            if (text[i + 1] === '\n') {
+                out += '<br />\n';
+                i += 2;
+                continue;
+            }
+            if (/[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/.test(text[i + 1])) {
+                out += escapeHtmlText(text[i + 1]);
+                i += 2;
+                continue;
+            }
+        }
+
+        if (char === '`') {
+            const run = text.slice(i).match(/^`+/)[0];
+            const close = text.indexOf(run, i + run.length);
+            if (close !== -1) {
+                let code = text.slice(i + run.length, close).replace(/\n/g, ' ');
+                if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+                out += `<code>${escapeHtmlText(code)}</code>`;
+                i = close + run.length;
+                continue;
+            }
+            out += escapeHtmlText(run);
+            i += run.length;
+            continue;
+        }
+
+        if (char === '!' && text[i + 1] === '[') {
+            const close = findClosingBracket(text, i + 1);
+            const dest = close !== -1 ? parseLinkDestination(text, close + 1) : null;
+            if (dest) {
+                const src = sanitizeUrl(dest.url);
+                const alt = text.slice(i + 2, close).replace(/[*_`]/g, '');
+                if (src !== null) {
+                    const title = dest.title ? ` title="${escapeAttr(dest.title)}"` : '';
+                    out += `<img src="${escapeAttr(src)}" alt="${escapeAttr(alt)}"${title} loading="lazy" />`;
+                } else {
+                    out += escapeHtmlText(alt);
+                }
+                i = dest.end;
+                continue;
+            }
+        }
+
+        if (char === '[') {
+            const close = findClosingBracket(text, i);
+            const dest = close !== -1 ? parseLinkDestination(text, close + 1) : null;
+            if (dest) {
+                const href = sanitizeUrl(dest.url);
+                const label = renderInline(text.slice(i + 1, close));
+                if (href !== null) {
+                    const title = dest.title ? ` title="${escapeAttr(dest.title)}"` : '';
+                    const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener"' : '';
+                    out += `<a href="${escapeAttr(href)}"${title}${external}>${label}</a>`;
+                } else {
+                    out += label;
+                }
+                i = dest.end;
+                continue;
+            }
+        }
+
+        if (char === '<') {
+            const autolink = text.slice(i).match(/^<((?:https?:\/\/|mailto:)[^\s<>]+)>/i);
+            if (autolink) {
+                const href = escapeAttr(autolink[1]);
+                out += `<a href="${href}" target="_blank" rel="noopener">${escapeHtmlText(autolink[1])}</a>`;
+                i += autolink[0].length;
+                continue;
+            }
+            const tag = text.slice(i).match(/^<\/?[a-zA-Z][\w-]*(?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>/);
+            if (tag) {
+                const safe = sanitizeHtmlTag(tag[0]);
+                out += safe === null ? escapeHtmlText(tag[0]) : safe;
+                i += tag[0].length;
+                continue;
+            }
+        }
+
+        if (char === '*' || char === '_') {
+            const run = text.slice(i).match(char === '*' ? /^\*+/ : /^_+/)[0];
+            const emphasis = parseEmphasis(text, i, run);
+            if (emphasis) {
+                out += emphasis.html;
+                i = emphasis.end;
+                continue;
+            }
+            out += escapeHtmlText(run);
+            i += run.length;
+            continue;
+        }
+
+        if (char === '\n') {
+            out += /  $/.test(text.slice(0, i)) ? '<br />\n' : '\n';
+            i++;
+            continue;
+        }
+
+        const next = text.slice(i + 1).search(/[\\`![<*_\n]/);
+        const end = next === -1 ? text.length : i + 1 + next;
+        out += escapeHtmlText(text.slice(i, end));
+        i = end;
+    }
+
+    return out.replace(/ +(<br \/>)/g, '$1');
+}
+
+/**
+ * Emphasis opened by the delimiter run `run` at `text[start]`: `<em>`,
+ * `<strong>`, or both for a run of three. `***x***` nests them directly;
+ * in `***x** y*` and `***x* y**` the inner one closes first, so the one
+ * that closes last is the outer. Returns `{ html, end }` or null.
+ */
+function parseEmphasis(text, start, run) {
+    const char = run[0];
+    const size = Math.min(run.length, 3);
+    const leftFlanking = text[start + size] && !/\s/.test(text[start + size]);
+    const intraword = char === '_' && isWordChar(text[start - 1]);
+    if (!leftFlanking || intraword) return null;
+
+    const wrap = (tagName, width, close) => ({
+        html: `<${tagName}>${renderInline(text.slice(start + width, close))}</${tagName}>`,
+        end: close + width,
+    });
+
+    if (size === 3) {
+        const close = findClosingDelimiter(text, start + 3, char.repeat(3));
+        if (close !== -1) {
+            return { html: `<em><strong>${renderInline(text.slice(start + 3, close))}</strong></em>`, end: close + 3 };
+        }
+        const emClose = findClosingDelimiter(text, start + 1, char);
+        const strongClose = findClosingDelimiter(text, start + 2, char.repeat(2));
+        if (emClose > strongClose) return wrap('em', 1, emClose);
+        return strongClose === -1 ? null : wrap('strong', 2, strongClose);
+    }
+
+    const close = findClosingDelimiter(text, start + size, char.repeat(size));
+    return close === -1 ? null : wrap(size === 2 ? 'strong' : 'em', size, close);
+}
+
+/**
+ * Locate a right-flanking closing delimiter for emphasis opened before
+ * `from`, skipping over code spans.
+ */
+function findClosingDelimiter(text, from, delim) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (text[i] === '`') {
+            const run = text.slice(i).match(/^`+/)[0];
+            const close = text.indexOf(run, i + run.length);
+            if (close !== -1) i = close + run.length - 1;
+            continue;
+        }
+        if (!text.startsWith(delim, i)) continue;
+        // For single delimiters, don't stop inside a double one (**…** within *…*).
+        if (delim.length === 1 && text[i + 1] === delim) {
+            i++;
+            continue;
+        }
+        const rightFlanking = i > from && !/\s/.test(text[i - 1]);
+        const intraword = delim[0] === '_' && isWordChar(text[i + delim.length]);
+        if (rightFlanking && !intraword) return i;
+    }
+    return -1;
+}
+
+// ============================================
+// Rendering
+// ============================================
+
+/**
+ * Render an allow-listed raw HTML block: each tag is sanitized, text between
+ * tags is escaped.
+ */
+function renderHtmlBlock(text) {
+    return text.replace(/<!--[\s\S]*?-->/g, '').replace(/<[^>]*>|[^<]+|</g, (token) => {
+        if (token.startsWith('<') && token.length > 1) {
+            const safe = sanitizeHtmlTag(token);
+            return safe === null ? escapeHtmlText(token) : safe;
+        }
+        return escapeHtmlText(token);
+    }).trim();
+}
+
+function renderBlocks(blocks, options, tight = false) {
+    return blocks.map((block) => renderBlock(block, options, tight)).filter(Boolean).join('\n');
+}
+
+function renderBlock(block, options, tight) {
+    switch (block.type) {
+        case 'heading': {
+            const level = Math.min(6, block.level + options.headingOffset);
+            const content = renderInline(block.text);
+            const id = block.id || (options.headingIds ? options.headingIds(block.text, block.level) : null);
+            const idAttr = id ? ` id="${escapeAttr(id)}"` : '';
+            return `<h${level}${idAttr}>${content}</h${level}>`;
+        }
+        case 'paragraph':
+            return tight ? renderInline(block.text) : `<p>${renderInline(block.text)}</p>`;
+        case 'hr':
+            return '<hr />';
+        case 'code': {
+            const langClass = block.lang ? ` class="language-${escapeAttr(block.lang)}"` : '';
+            return `<pre><code${langClass}>${escapeHtmlText(block.text)}\n</code></pre>`;
+        }
+        case 'blockquote':
+            return `<blockquote>\n${renderBlocks(block.children, options)}\n</blockquote>`;
+        case 'html':
+            return renderHtmlBlock(block.text);
+        case 'list': {
+            const tagName = block.ordered ? 'ol' : 'ul';
+            const startAttr = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+            const items = block.items.map((item) => {
+                const body = renderBlocks(item, options, !block.loose);
+                return `<li>${body}</li>`;
+            });
+            return `<${tagName}${startAttr}>\n${items.join('\n')}\n</${tagName}>`;
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Parse Markdown into a block tree. Exposed so callers can slice documents
+ * (e.g. per changelog version) before rendering.
+ */
+function parseMarkdown(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n').map(expandTabs);
+    return parseBlocks(lines);
+}
+
+/**
+ * Render Markdown to HTML.
+ *
+ * Options:
+ *   headingOffset  Added to every heading level (e.g. 1 turns ## into <h3>)
+ *   headingIds     (text, level) → id or null, to anchor headings without
+ *                  an explicit `{#anchor}`
+ */
+function renderMarkdown(markdownOrBlocks, options = {}) {
+    const blocks = typeof markdownOrBlocks === 'string' ? parseMarkdown(markdownOrBlocks) : markdownOrBlocks;
+    return renderBlocks(blocks, { headingOffset: 0, headingIds: null, ...options });
+}
+
+module.exports = {
+    parseMarkdown,
+    renderMarkdown,
+    renderInline,
+};
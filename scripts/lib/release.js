@@ -0,0 +1,161 @@
+/**
+ * release.js — Render the download page's release assets from the manifest
+ * in website/data/release.json, so the page links straight to the current
+ * build without asking GitHub at runtime.
+ *
+ * Manifest shape (written by scripts/write-release-manifest.sh):
+ *
+ *   { version, build, tag, minimumSystemVersion, notarized,
+ *     assets: [{ name, architectures, size, sha256, edSignature }] }
+ *
+ * `build` is the app's CFBundleVersion. Assets are attached to the GitHub
+ * release `tag`; the first one, a .dmg or .zip, is the page's primary
+ * download and decides the install steps. `size`,
+ * `sha256` and `edSignature` (Sparkle's EdDSA signature, see lib/updates.js)
+ * may be null for a release recorded by hand, in which case they're left
+ * out.
+ */
+
+const { escapeAttr, escapeHtmlText } = require('./html');
+const { formatMessage } = require('../../website/i18n-format');
+
+const RELEASES_URL = 'https://github.com/KoukeNeko/FinderHover/releases';
+
+const ARCHITECTURE_NAMES = {
+    arm64: 'Apple Silicon',
+    x86_64: 'Intel',
+};
+
+// The steps that get each kind of primary download into /Applications.
+const UNPACK_STEPS = {
+    '.dmg': ['download.release.install.dmg', 'download.release.install.drag'],
+    '.zip': ['download.release.install.zip', 'download.release.install.move'],
+};
+
+const LOCK_ICON = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/><polyline points="9 12 11 14 15 10"/></svg>';
+const INFO_ICON = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><line x1="12" y1="16" x2="12" y2="12"/><line x1="12" y1="8" x2="12.01" y2="8"/></svg>';
+
+function assetUrl(release, asset) {
+    return `${RELEASES_URL}/download/${encodeURIComponent(release.tag)}/${encodeURIComponent(asset.name)}`;
+}
+
+/**
+ * Byte count the way formatByteCount in components.js (and the app's
+ * ByteCountFormatter) writes it.
+ */
+function formatByteCount(bytes, lang) {
+    const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+    const digits = [0, 0, 1, 2, 2];
+    let unit = 0;
+    let value = bytes;
+    while (value >= 1000 && unit < units.length - 1) {
+        value /= 1000;
+        unit++;
+    }
+    const number = new Intl.NumberFormat(lang, { maximumFractionDigits: digits[unit] }).format(value);
+    return `${number} ${units[unit]}`;
+}
+
+/**
+ * Markup for the Direct Download card's release block: the primary
+ * download button, every asset with its architectures, size and checksum,
+ * the minimum macOS version and a `shasum` command to verify the primary
+ * asset. `translate(key)` resolves a locale string.
+ */
+function renderReleaseDownloads(release, translate, lang) {
+    // Locale strings with placeholders keep their args so the runtime can
+    // re-render them the same way.
+    const label = (tagName, attrs, key, args) => {
+        const text = args ? formatMessage(translate(key), args, lang) : translate(key);
+        const argsAttr = args ? ` data-i18n-args="${escapeAttr(JSON.stringify(args))}"` : '';
+        return `<${tagName}${attrs} data-i18n="${key}"${argsAttr}>${text}</${tagName}>`;
+    };
+    const [primary] = release.assets;
+
+    const assets = release.assets.map((asset) => {
+        const architectures = asset.architectures.length > 1
+            ? label('span', '', 'download.release.universal')
+            : escapeHtmlText(asset.architectures.map((arch) => ARCHITECTURE_NAMES[arch] || arch).join(''));
+        const meta = [architectures, ...(asset.size ? [escapeHtmlText(formatByteCount(asset.size, lang))] : [])];
+        const lines = [
+            '  <li class="release-asset">',
+            `    <a class="release-asset-name" href="${escapeAttr(assetUrl(release, asset))}">${escapeHtmlText(asset.name)}</a>`,
+            `    <span class="release-asset-meta">${meta.join(' · ')}</span>`,
+        ];
+        if (asset.sha256) {
+            lines.push(
+                '    <div class="download-code release-checksum">',
+                `      <code title="SHA-256">${escapeHtmlText(asset.sha256)}</code>`,
+                `      <copy-button command="${escapeAttr(asset.sha256)}"></copy-button>`,
+                '    </div>',
+            );
+        }
+        lines.push('  </li>');
+        return lines.join('\n');
+    });
+
+    const markup = [
+        label('a', ` href="${escapeAttr(assetUrl(release, primary))}" class="download-btn"`, 'download.release.downloadAsset', { name: primary.name }),
+        '<ul class="release-assets">',
+        ...assets,
+        '</ul>',
+        label('p', ' class="release-requirement"', 'download.release.minimumSystem', { version: release.minimumSystemVersion }),
+    ];
+
+    const verified = release.assets.find((asset) => asset.sha256);
+    if (verified) {
+        const command = `cd ~/Downloads && echo "${verified.sha256}  ${verified.name}" | shasum -a 256 -c`;
+        markup.push(
+            '<div class="download-steps release-verify">',
+            `  ${label('h4', '', 'download.release.verifyTitle')}`,
+            `  ${label('p', '', 'download.release.verifyDesc', { name: verified.name })}`,
+            '  <div class="download-code">',
+            `    <code>${escapeHtmlText(command)}</code>`,
+            `    <copy-button command="${escapeAttr(command)}"></copy-button>`,
+            '  </div>',
+            '</div>',
+        );
+    }
+    markup.push(label('a', ` href="${RELEASES_URL}" class="download-prereq-link"`, 'download.release.allReleases'));
+    return markup.join('\n');
+}
+
+/**
+ * Markup for the card's note on whether the build is notarized.
+ */
+function renderNotarizationNote(release, translate) {
+    const key = release.notarized ? 'download.release.notarized' : 'download.release.notNotarized';
+    return [
+        `<div class="download-note${release.notarized ? ' verified' : ''}">`,
+        `  ${release.notarized ? LOCK_ICON : INFO_ICON}`,
+        `  <span data-i18n="${key}">${translate(key)}</span>`,
+        '</div>',
+    ].join('\n');
+}
+
+/**
+ * Markup for the card's install steps: unpacking the primary asset, then
+ * the first launch, which only needs Gatekeeper's confirmation for a build
+ * that isn't notarized.
+ */
+function renderInstallSteps(release, translate) {
+    const [primary] = release.assets;
+    const extension = primary.name.match(/\.\w+$/)?.[0];
+    if (!UNPACK_STEPS[extension]) {
+        throw new Error(`data/release.json: no install steps for ${primary.name}; the first asset must be a .dmg or .zip`);
+    }
+    const launch = release.notarized
+        ? ['download.release.install.open']
+        : ['download.release.install.openUnnotarized', 'download.release.install.confirmOpen'];
+    return [...UNPACK_STEPS[extension], ...launch, 'download.release.install.accessibility']
+        .map((key) => `<li data-i18n="${key}">${translate(key)}</li>`)
+        .join('\n');
+}
+
+module.exports = {
+    assetUrl,
+    formatByteCount,
+    renderReleaseDownloads,
+    renderNotarizationNote,
+    renderInstallSteps,
+};
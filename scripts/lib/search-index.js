@@ -0,0 +1,53 @@
+/**
+ * search-index.js — Build the docs search index from a rendered docs page.
+ *
+ * Every `<article class="docs-article" id="...">` is split at its <h3>
+ * headings into entries of
+ *
+ *   { id, anchor, title, section, text }
+ *
+ * where `id` is the article anchor, `anchor` where a result links to (the
+ * <h3>'s own id, or the article's for its intro), `title` the article's
+ * <h2>, `section` the <h3> the text sits under (null for the article intro)
+ * and `text` the plain text of that part. The page is read after translation, so each
+ * language tree gets an index in its own language.
+ */
+
+const { findElementEnd, findElements, hasClass, htmlToText, scanTags } = require('./html');
+
+function extractArticleEntries(html, article) {
+    const inner = html.slice(article.innerStart, article.innerEnd);
+    const [heading] = findElements(inner, (tag) => tag.name === 'h2');
+    const title = heading ? htmlToText(inner.slice(heading.innerStart, heading.innerEnd)) : '';
+    const bodyStart = heading ? heading.end : 0;
+
+    const entries = [];
+    const id = article.tag.attrs.id;
+    let section = null;
+    let anchor = id;
+    let cursor = bodyStart;
+    const flush = (end) => {
+        const text = htmlToText(inner.slice(cursor, end));
+        if (text || section) entries.push({ id, anchor, title, section, text });
+    };
+
+    for (const tag of scanTags(inner, bodyStart)) {
+        if (tag.name !== 'h3' || tag.closing) continue;
+        flush(tag.start);
+        const range = findElementEnd(inner, tag);
+        section = htmlToText(inner.slice(range.innerStart, range.innerEnd));
+        anchor = tag.attrs.id || id;
+        cursor = range.end;
+    }
+    flush(inner.length);
+    return entries;
+}
+
+function buildDocsIndex(html) {
+    return findElements(html, (tag) => tag.name === 'article' && hasClass(tag, 'docs-article') && tag.attrs.id)
+        .flatMap((article) => extractArticleEntries(html, article));
+}
+
+module.exports = {
+    buildDocsIndex,
+};
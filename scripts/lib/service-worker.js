@@ -0,0 +1,106 @@
+/**
+ * service-worker.js — Generate the site's service worker (website/sw.js),
+ * which precaches every language tree and the files its pages load so the
+ * site keeps working offline or on a flaky connection.
+ *
+ * The worker is cache-first over a precache manifest of
+ * `{ url, revision }` entries, where `revision` is a hash of the file's
+ * content at build time (`contentHash` in lib/assets.js). Each entry is cached under `<url>?__rev=<revision>`,
+ * so a deploy only refetches the files that changed, and a changed file
+ * changes sw.js itself, which is how the browser notices the update. The
+ * new worker waits until the page asks it to take over (see <update-toast>
+ * in components.js) and then drops entries the manifest no longer lists.
+ *
+ * Anything not in the manifest (feeds, cross-origin images, GitHub) goes
+ * to the network as usual.
+ */
+
+const CACHE_NAME = 'finderhover-precache';
+
+/**
+ * The worker's source for a precache manifest. Everything below the
+ * manifest is static; it's kept here rather than in website/ so the
+ * deployed sw.js is always the generated one.
+ */
+function renderServiceWorker(manifest) {
+    const entries = manifest.map(({ url, revision }) => `    { url: '${url}', revision: '${revision}' },`);
+    return `// Generated by scripts/build-i18n.js — do not edit.
+// See scripts/lib/service-worker.js.
+
+const CACHE_NAME = '${CACHE_NAME}';
+
+const PRECACHE_MANIFEST = [
+${entries.join('\n')}
+];
+
+const REVISIONS = new Map(PRECACHE_MANIFEST.map(({ url, revision }) => [url, revision]));
+
+function cacheKey(url, revision) {
+    return new URL(\`\${url}?__rev=\${revision}\`, self.location.origin).href;
+}
+
+/**
+ * The manifest URL a request is served from: directories map to their
+ * index.html and extensionless paths to the .html page they redirect to.
+ */
+function manifestUrl(requestUrl) {
+    const url = new URL(requestUrl);
+    if (url.origin !== self.location.origin) return null;
+    let pathname = url.pathname;
+    if (pathname.endsWith('/')) pathname += 'index.html';
+    else if (!pathname.split('/').pop().includes('.')) pathname += '.html';
+    return REVISIONS.has(pathname) ? pathname : null;
+}
+
+/**
+ * Cache API rejects redirected responses for navigations, and the host
+ * redirects /page.html to /page, so store a plain copy instead.
+ */
+async function storableResponse(response) {
+    if (!response.redirected) return response;
+    const body = await response.blob();
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await Promise.all(PRECACHE_MANIFEST.map(async ({ url, revision }) => {
+            const key = cacheKey(url, revision);
+            if (await cache.match(key)) return;
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(\`Failed to precache \${url}: \${response.status}\`);
+            await cache.put(key, await storableResponse(response));
+        }));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = new Set(PRECACHE_MANIFEST.map(({ url, revision }) => cacheKey(url, revision)));
+        const cache = await caches.open(CACHE_NAME);
+        const requests = await cache.keys();
+        await Promise.all(requests.filter((request) => !current.has(request.url)).map((request) => cache.delete(request)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') return;
+    const url = manifestUrl(event.request.url);
+    if (!url) return;
+    event.respondWith((async () => {
+        const cached = await caches.match(cacheKey(url, REVISIONS.get(url)), { cacheName: CACHE_NAME });
+        return cached || fetch(event.request);
+    })());
+});
+`;
+}
+
+module.exports = {
+    renderServiceWorker,
+};
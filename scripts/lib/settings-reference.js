@@ -0,0 +1,113 @@
+/**
+ * settings-reference.js — Render the docs page's settings and
+ * metadata-field reference from the app's own Localizable.strings.
+ *
+ * website/data/settings-reference.json maps app keys onto the docs:
+ *
+ *   { tabs: [{ id, title, description, settings }], sections: [{ title, hint?, prefix, displayItems }], ignore }
+ *
+ * Every tab becomes a heading and a table of its `settings`, each described
+ * by the app's `<key>.description` and `<key>.hint` strings. Every section
+ * becomes a row of the metadata-field table listing the fields under
+ * `prefix` (the section's "Show …" toggle, hint and title aside), and
+ * `displayItems` names its entries in the app's Display Order list. `ignore`
+ * names the `settings.*` strings that aren't settings (tab names, the About
+ * page, …); any other `settings.*` or `displayItem.*` string `unmappedKeys`
+ * reports as missing from the docs.
+ */
+
+const { escapeAttr, escapeHtmlText } = require('./html');
+
+// App strings that belong to a setting and so should appear in the docs
+const MAPPED_PREFIXES = ['settings.', 'displayItem.'];
+
+/**
+ * Whether a reference entry accounts for `key`: the key itself or any
+ * string nested under it (`.description`, `.hint`, unit formats).
+ */
+function coversKey(entry, key) {
+    return key === entry || key.startsWith(entry.endsWith('.') ? entry : `${entry}.`);
+}
+
+function sectionCoversKey(section, key) {
+    return key === section.title
+        || key === section.prefix.replace(/\.$/, '')
+        || key.startsWith(section.prefix)
+        || (section.displayItems || []).some((item) => coversKey(item, key));
+}
+
+/**
+ * App settings keys (`settings.*`, and the Display Order's `displayItem.*`)
+ * the reference doesn't place anywhere, leaving out strings nested under a
+ * key that is itself reported.
+ */
+function unmappedKeys(reference, keys) {
+    const entries = [...reference.tabs.flatMap((tab) => tab.settings), ...reference.ignore];
+    const unmapped = keys.filter((key) =>
+        MAPPED_PREFIXES.some((prefix) => key.startsWith(prefix))
+        && !entries.some((entry) => coversKey(entry, key))
+        && !reference.sections.some((section) => sectionCoversKey(section, key)));
+    // A new setting brings its `.description`/`.hint` along; report it once.
+    return unmapped.filter((key) => !unmapped.some((other) => other !== key && coversKey(other, key)));
+}
+
+function requireString(lookup, key) {
+    const value = lookup(key);
+    if (value === undefined) throw new Error(`Missing app string "${key}"`);
+    return value;
+}
+
+/**
+ * Markup for the settings reference. `lookup(key)` resolves an app string
+ * in the page's language (undefined when missing).
+ */
+function renderSettingsReference(reference, lookup) {
+    return reference.tabs.map((tab) => {
+        const rows = tab.settings.map((key) => {
+            const details = [lookup(`${key}.description`), lookup(`${key}.hint`)].filter(Boolean);
+            return [
+                '  <tr>',
+                `    <td><strong>${escapeHtmlText(requireString(lookup, key))}</strong></td>`,
+                `    <td>${details.map(escapeHtmlText).join('<br />')}</td>`,
+                '  </tr>',
+            ].join('\n');
+        });
+        return [
+            `<h3 id="${escapeAttr(tab.id)}">${escapeHtmlText(requireString(lookup, tab.title))}</h3>`,
+            `<p>${escapeHtmlText(requireString(lookup, tab.description))}</p>`,
+            '<table class="docs-table">',
+            ...rows,
+            '</table>',
+        ].join('\n');
+    }).join('\n\n');
+}
+
+/**
+ * Markup for the metadata-field reference. Fields are listed in `keys`
+ * order; the strings files carry a few aliases (`remoteUrl`/`remoteURL`),
+ * so a label already listed in the section isn't repeated.
+ */
+function renderMetadataFieldReference(reference, keys, lookup) {
+    const rows = reference.sections.map((section) => {
+        const skipped = [section.title, section.hint, `${section.prefix}show`];
+        const labels = new Set(
+            keys
+                .filter((key) => key.startsWith(section.prefix) && !skipped.includes(key))
+                .map((key) => requireString(lookup, key)),
+        );
+        const hint = section.hint ? `<br /><span class="docs-table-note">${escapeHtmlText(requireString(lookup, section.hint))}</span>` : '';
+        return [
+            '  <tr>',
+            `    <td><strong>${escapeHtmlText(requireString(lookup, section.title))}</strong></td>`,
+            `    <td>${[...labels].map(escapeHtmlText).join(' · ')}${hint}</td>`,
+            '  </tr>',
+        ].join('\n');
+    });
+    return ['<table class="docs-table">', ...rows, '</table>'].join('\n');
+}
+
+module.exports = {
+    unmappedKeys,
+    renderSettingsReference,
+    renderMetadataFieldReference,
+};
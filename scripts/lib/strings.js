@@ -0,0 +1,73 @@
+/**
+ * strings.js — Parse Apple `.strings` localization files.
+ *
+ * Handles the subset Xcode writes: `"key" = "value";` entries separated by
+ * block and line comments, with the usual backslash escapes (\" \\ \n \t
+ * \r and \Uxxxx). Returns a Map in file order; a key that appears twice
+ * keeps its last value.
+ */
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\', "'": "'" };
+
+function unescapeString(raw) {
+    return raw.replace(/\\(U[0-9a-fA-F]{4}|.)/g, (match, escape) => {
+        if (escape.length === 5) return String.fromCharCode(parseInt(escape.slice(1), 16));
+        return ESCAPES[escape] ?? escape;
+    });
+}
+
+function parseStrings(source, fileName = '<strings>') {
+    const entries = new Map();
+    let i = 0;
+
+    const fail = (message) => {
+        const line = source.slice(0, i).split('\n').length;
+        throw new Error(`${fileName}:${line}: ${message}`);
+    };
+
+    const skipTrivia = () => {
+        for (;;) {
+            while (i < source.length && /\s/.test(source[i])) i++;
+            if (source.startsWith('/*', i)) {
+                const end = source.indexOf('*/', i + 2);
+                if (end === -1) fail('unterminated comment');
+                i = end + 2;
+            } else if (source.startsWith('//', i)) {
+                const end = source.indexOf('\n', i);
+                i = end === -1 ? source.length : end + 1;
+            } else {
+                return;
+            }
+        }
+    };
+
+    const readString = () => {
+        if (source[i] !== '"') fail('expected a quoted string');
+        let j = i + 1;
+        while (j < source.length && source[j] !== '"') j += source[j] === '\\' ? 2 : 1;
+        if (j >= source.length) fail('unterminated string');
+        const value = unescapeString(source.slice(i + 1, j));
+        i = j + 1;
+        return value;
+    };
+
+    const expect = (char) => {
+        skipTrivia();
+        if (source[i] !== char) fail(`expected "${char}"`);
+        i++;
+    };
+
+    for (skipTrivia(); i < source.length; skipTrivia()) {
+        const key = readString();
+        expect('=');
+        skipTrivia();
+        const value = readString();
+        expect(';');
+        entries.set(key, value);
+    }
+    return entries;
+}
+
+module.exports = {
+    parseStrings,
+};
@@ -0,0 +1,110 @@
+/**
+ * structured-data.js — Schema.org JSON-LD for each page, so search results
+ * can show the app's details, the FAQ and where a page sits on the site.
+ *
+ *   index      SoftwareApplication, FAQPage
+ *   download   SoftwareApplication, BreadcrumbList
+ *   others     BreadcrumbList
+ *
+ * Every node is in the page's language: names, descriptions and answers
+ * come from its locale and URLs point into its language tree. The build
+ * fills the page's `<script type="application/ld+json">` with the result.
+ */
+
+const APP_NAME = 'FinderHover';
+const AUTHOR = { '@type': 'Person', name: 'KoukeNeko', url: 'https://github.com/KoukeNeko' };
+
+// FinderHover is free and open source; there's no price in the release
+// manifest to take.
+const OFFER = { '@type': 'Offer', price: '0', priceCurrency: 'USD' };
+
+/**
+ * The app itself, from the release manifest. `context` is described at
+ * `structuredData`.
+ */
+function softwareApplication(context) {
+    const { release, downloadUrl, fileSize } = context;
+    return {
+        '@type': 'SoftwareApplication',
+        name: APP_NAME,
+        description: context.translate('meta.description'),
+        url: context.pageUrl('index'),
+        image: context.imageUrl,
+        inLanguage: context.lang,
+        applicationCategory: 'UtilitiesApplication',
+        operatingSystem: `macOS ${release.minimumSystemVersion}`,
+        softwareVersion: release.version,
+        downloadUrl,
+        ...(fileSize ? { fileSize } : {}),
+        license: context.pageUrl('license'),
+        author: AUTHOR,
+        offers: OFFER,
+    };
+}
+
+/**
+ * The homepage FAQ, one Question per `faqIds` entry (`q1`, `q2`, …), in
+ * the order the page shows them.
+ */
+function faqPage(context) {
+    return {
+        '@type': 'FAQPage',
+        inLanguage: context.lang,
+        mainEntity: context.faqIds.map((id) => ({
+            '@type': 'Question',
+            name: context.translate(`faq.${id}.question`),
+            acceptedAnswer: { '@type': 'Answer', text: context.translate(`faq.${id}.answer`) },
+        })),
+    };
+}
+
+/**
+ * Home › page, named by the page's title.
+ */
+function breadcrumbList(page, context) {
+    const crumbs = [
+        { name: APP_NAME, url: context.pageUrl('index') },
+        { name: context.translate(`${page}.pageTitle`), url: context.pageUrl(page) },
+    ];
+    return {
+        '@type': 'BreadcrumbList',
+        inLanguage: context.lang,
+        itemListElement: crumbs.map((crumb, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            name: crumb.name,
+            item: crumb.url,
+        })),
+    };
+}
+
+/**
+ * The JSON-LD document for `page`. `context` carries
+ *
+ *   { lang, pageUrl(page), translate(key), imageUrl, release, downloadUrl,
+ *     fileSize, faqIds }
+ *
+ * where `pageUrl` resolves within the page's language tree, `fileSize` is
+ * the primary asset's (null when unknown) and `faqIds` lists the questions
+ * on the homepage.
+ */
+function structuredData(page, context) {
+    const graph = [];
+    if (page === 'index' || page === 'download') graph.push(softwareApplication(context));
+    if (page === 'index') graph.push(faqPage(context));
+    if (page !== 'index') graph.push(breadcrumbList(page, context));
+    return { '@context': 'https://schema.org', '@graph': graph };
+}
+
+/**
+ * Serialize JSON-LD for a `<script>` element. `<` is escaped so no string
+ * can close the element early.
+ */
+function serializeJsonLd(data) {
+    return JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+}
+
+module.exports = {
+    structuredData,
+    serializeJsonLd,
+};
@@ -0,0 +1,131 @@
+/**
+ * updates.js — Serialize the current release as the site's update-check
+ * endpoints, so the app (or anything else) can look for a new version
+ * without going through the rate-limited GitHub API:
+ *
+ *   /updates/latest.json   plain JSON
+ *   /updates/appcast.xml   Sparkle appcast (RSS 2.0)
+ *
+ * Both renderers take the same description:
+ *
+ *   { version, build, date, minimumSystemVersion, notarized, title,
+ *     feedUrl, releaseNotes, assets }
+ *
+ * where `date` is a Date (the release date from CHANGELOG.md),
+ * `releaseNotes` is `{ html, links: [{ lang, url }] }`, the release's notes
+ * (CHANGELOG.md is English-only, so there's one copy) and each language's
+ * changelog page with the default language first, and each asset is
+ * `{ name, url, architectures, size, sha256, edSignature }` (see
+ * lib/release.js).
+ *
+ * The appcast's enclosure is the first asset. Sparkle won't install an
+ * update without its size and EdDSA signature, and a client can't check a
+ * download without its checksum, so a release recorded by hand (see
+ * lib/release.js) isn't an update yet: the renderers throw rather than
+ * publish an appcast with no item (see missingUpdateFields).
+ */
+
+const { escapeAttr, escapeHtmlText } = require('./html');
+
+const SPARKLE_NAMESPACE = 'http://www.andymatuschak.org/xml-namespaces/sparkle';
+
+const CONTENT_TYPES = {
+    dmg: 'application/x-apple-diskimage',
+    zip: 'application/zip',
+};
+
+/**
+ * What the release lacks to be published as an update: each asset's size
+ * and SHA-256, and the enclosure's EdDSA signature, as "<asset name>
+ * <field>".
+ */
+function missingUpdateFields(update) {
+    return update.assets.flatMap((asset, index) => {
+        const fields = index === 0 ? ['size', 'sha256', 'edSignature'] : ['size', 'sha256'];
+        return fields.filter((field) => !asset[field]).map((field) => `${asset.name} ${field}`);
+    });
+}
+
+function assertPublishable(update) {
+    const missing = missingUpdateFields(update);
+    if (missing.length > 0) {
+        throw new Error(`${update.version} can't be published as an update without: ${missing.join(', ')}`);
+    }
+}
+
+function renderLatestJson(update) {
+    assertPublishable(update);
+    const json = {
+        version: update.version,
+        build: update.build,
+        publishedAt: update.date.toISOString(),
+        minimumSystemVersion: update.minimumSystemVersion,
+        notarized: update.notarized,
+        releaseNotes: {
+            html: update.releaseNotes.html,
+            urls: Object.fromEntries(update.releaseNotes.links.map(({ lang, url }) => [lang, url])),
+        },
+        assets: update.assets.map((asset) => ({
+            name: asset.name,
+            url: asset.url,
+            architectures: asset.architectures,
+            size: asset.size,
+            sha256: asset.sha256,
+            edSignature: asset.edSignature,
+        })),
+    };
+    return `${JSON.stringify(json, null, 2)}\n`;
+}
+
+/**
+ * Every language's changelog page goes in as a `<sparkle:fullReleaseNotesLink
+ * xml:lang>`, the untagged one being the default language's.
+ */
+function renderAppcastItem(update) {
+    const [enclosure] = update.assets;
+    const extension = enclosure.name.split('.').pop().toLowerCase();
+    const enclosureAttrs = [
+        `url="${escapeAttr(enclosure.url)}"`,
+        `length="${enclosure.size}"`,
+        `type="${CONTENT_TYPES[extension] || 'application/octet-stream'}"`,
+        `sparkle:edSignature="${escapeAttr(enclosure.edSignature)}"`,
+    ];
+    const langAttr = (index, lang) => (index === 0 ? '' : ` xml:lang="${escapeAttr(lang)}"`);
+
+    return [
+        '    <item>',
+        `      <title>${escapeHtmlText(`${update.title} ${update.version}`)}</title>`,
+        `      <pubDate>${update.date.toUTCString()}</pubDate>`,
+        `      <sparkle:version>${escapeHtmlText(update.build)}</sparkle:version>`,
+        `      <sparkle:shortVersionString>${escapeHtmlText(update.version)}</sparkle:shortVersionString>`,
+        `      <sparkle:minimumSystemVersion>${escapeHtmlText(update.minimumSystemVersion)}</sparkle:minimumSystemVersion>`,
+        ...update.releaseNotes.links.map(({ lang, url }, index) =>
+            `      <sparkle:fullReleaseNotesLink${langAttr(index, lang)}>${escapeHtmlText(url)}</sparkle:fullReleaseNotesLink>`),
+        `      <description>${escapeHtmlText(update.releaseNotes.html)}</description>`,
+        `      <enclosure ${enclosureAttrs.join(' ')} />`,
+        '    </item>',
+    ];
+}
+
+function renderAppcast(update) {
+    assertPublishable(update);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<rss version="2.0" xmlns:sparkle="${SPARKLE_NAMESPACE}">`,
+        '  <channel>',
+        `    <title>${escapeHtmlText(update.title)}</title>`,
+        `    <link>${escapeHtmlText(update.feedUrl)}</link>`,
+        `    <language>${escapeHtmlText(update.releaseNotes.links[0].lang)}</language>`,
+        ...renderAppcastItem(update),
+        '  </channel>',
+        '</rss>',
+        '',
+    ];
+    return lines.join('\n');
+}
+
+module.exports = {
+    missingUpdateFields,
+    renderLatestJson,
+    renderAppcast,
+};
@@ -0,0 +1,95 @@
+/**
+ * Tests for scripts/build-i18n.js: the committed output is what the
+ * tracked sources build to, so CI's --check gate holds on a fresh
+ * checkout, the gate catches output that has drifted from its sources,
+ * and the deploy-time fingerprinting leaves no trace in the tree. Run
+ * with: node --test scripts/test/
+ */
+
+const assert = require('node:assert/strict');
+const { execFileSync, spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { test } = require('node:test');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Copy the files of the working tree that would be committed into a new
+ * directory, without .git, ignored files or the original modification
+ * times.
+ */
+function copyTrackedFiles() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'finderhover-build-'));
+    const files = execFileSync('git', ['ls-files', '-z', '--cached', '--others', '--exclude-standard'], { cwd: REPO_ROOT, encoding: 'utf8' }).split('\0').filter(Boolean);
+    for (const file of files) {
+        const source = path.join(REPO_ROOT, file);
+        if (!fs.existsSync(source)) continue;
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.copyFileSync(source, path.join(dir, file));
+    }
+    return dir;
+}
+
+/**
+ * Every file under `dir` mapped to its contents.
+ */
+function snapshot(dir) {
+    const files = fs.readdirSync(dir, { recursive: true, withFileTypes: true }).filter((entry) => entry.isFile());
+    return new Map(files.map((entry) => {
+        const file = path.join(entry.parentPath ?? entry.path, entry.name);
+        return [path.relative(dir, file), fs.readFileSync(file)];
+    }));
+}
+
+function runBuild(dir, ...args) {
+    return spawnSync(process.execPath, [path.join(dir, 'scripts', 'build-i18n.js'), ...args], { cwd: dir, encoding: 'utf8' });
+}
+
+function build(dir, ...args) {
+    const result = runBuild(dir, ...args);
+    assert.equal(result.status, 0, `build-i18n.js ${args.join(' ')} failed:\n${result.stdout}${result.stderr}`);
+}
+
+test('tracked sources rebuild to the committed output, and rebuild stably', (t) => {
+    const dir = copyTrackedFiles();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    build(dir, '--check');
+    build(dir);
+    build(dir, '--check');
+});
+
+test('--check fails on a stale locale string, names the file and writes nothing', (t) => {
+    const dir = copyTrackedFiles();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const localeFile = path.join(dir, 'website', 'locales', 'en.json');
+    const locale = JSON.parse(fs.readFileSync(localeFile, 'utf8'));
+    locale.hero.headline = 'Hover over any file';
+    fs.writeFileSync(localeFile, `${JSON.stringify(locale, null, 2)}\n`);
+    const before = snapshot(dir);
+
+    const result = runBuild(dir, '--check');
+    assert.notEqual(result.status, 0, 'expected --check to fail');
+    assert.match(result.stdout, /^ {2}en\/index\.html: out of date/m);
+    assert.deepEqual(snapshot(dir), before);
+});
+
+test('--fingerprint points the pages at hashed copies, and a plain build undoes it', (t) => {
+    const dir = copyTrackedFiles();
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const before = snapshot(dir);
+
+    build(dir, '--fingerprint');
+    const manifest = JSON.parse(fs.readFileSync(path.join(dir, 'website', 'data', 'asset-manifest.json'), 'utf8'));
+    const page = fs.readFileSync(path.join(dir, 'website', 'en', 'index.html'), 'utf8');
+    const headers = fs.readFileSync(path.join(dir, 'website', '_headers'), 'utf8');
+    assert.match(manifest['/i18n.js'], /^\/i18n\.[0-9a-f]{8}\.js$/);
+    assert.ok(page.includes(`src="${manifest['/i18n.js']}"`));
+    assert.ok(headers.includes(`${manifest['/data/site-vars.json']}\n  Cache-Control: public, max-age=31536000, immutable\n`));
+
+    build(dir);
+    assert.deepEqual(snapshot(dir), before);
+});
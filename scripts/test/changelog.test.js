@@ -0,0 +1,32 @@
+/**
+ * Tests for scripts/lib/changelog.js. Run with: node --test scripts/test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { parseChangelog } = require('../lib/changelog');
+
+test('release dates come from the version heading', () => {
+    const entries = parseChangelog([
+        '## Version 1.9.0 (2025-06-01) (Current)',
+        '- New',
+        '## Version 1.8.0 (2025-03-14)',
+        '- Older',
+    ].join('\n'));
+
+    assert.deepEqual(entries.map((entry) => entry.version), ['1.9.0', '1.8.0']);
+    assert.equal(entries[0].date.toISOString(), '2025-06-01T00:00:00.000Z');
+    assert.equal(entries[0].isCurrent, true);
+    assert.equal(entries[1].date.toISOString(), '2025-03-14T00:00:00.000Z');
+    assert.equal(entries[1].isCurrent, false);
+});
+
+test('an undated version fails the parse, naming every one', () => {
+    const markdown = ['## Version 1.9.0 (Current)', '## Version 1.8.0 (2025-03-14)', '## Version 1.7.0'].join('\n');
+    assert.throws(() => parseChangelog(markdown), /2 version\(s\) have no release date, e\.g\. "## Version 1\.9\.0 \(YYYY-MM-DD\)": 1\.9\.0, 1\.7\.0$/);
+});
+
+test('an invalid release date fails the parse', () => {
+    assert.throws(() => parseChangelog('## Version 1.0.0 (2025-02-30)\n'), /invalid date/);
+    assert.throws(() => parseChangelog('## Version 1.0.0 (2025-13-01)\n'), /invalid date/);
+});
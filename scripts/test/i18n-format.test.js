@@ -0,0 +1,42 @@
+/**
+ * Tests for website/i18n-format.js. Run with: node --test scripts/test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { formatMessage } = require('../../website/i18n-format');
+
+const FILES = '{count, plural, =0 {no files} one {# file} other {# files}}';
+
+test('an exact =0 branch wins over the plural category', () => {
+    assert.equal(formatMessage(FILES, { count: 0 }), 'no files');
+    assert.equal(formatMessage(FILES, { count: 1 }), '1 file');
+    assert.equal(formatMessage(FILES, { count: 2 }), '2 files');
+    assert.equal(formatMessage('{count, plural, one {# file} other {# files}}', { count: 0 }), '0 files');
+});
+
+test('# is the count, formatted for the language, only inside a plural', () => {
+    assert.equal(formatMessage(FILES, { count: 1200 }), '1,200 files');
+    assert.equal(formatMessage('Issue #{id}: {count, plural, other {# votes}}', { id: 14, count: 3 }), 'Issue #14: 3 votes');
+});
+
+test('a select nested in a plural branch sees the count', () => {
+    const message = '{count, plural, one {{kind, select, app {# app} other {# item}}} other {{kind, select, app {# apps} other {# items}}}}';
+    assert.equal(formatMessage(message, { count: 1, kind: 'app' }), '1 app');
+    assert.equal(formatMessage(message, { count: 4, kind: 'app' }), '4 apps');
+    assert.equal(formatMessage(message, { count: 4, kind: 'folder' }), '4 items');
+});
+
+test('placeholders without a value are left for a later pass', () => {
+    const message = '{name} has {count, plural, one {# file} other {# files}}';
+    assert.equal(formatMessage(message), message);
+    assert.equal(formatMessage(message, { name: 'Downloads' }), 'Downloads has {count, plural, one {# file} other {# files}}');
+    assert.equal(formatMessage(formatMessage(message, { name: 'Downloads' }), { count: 2 }), 'Downloads has 2 files');
+});
+
+test('languages with only an "other" category always use it', () => {
+    const message = '{count, plural, one {# file} other {#個のファイル}}';
+    assert.equal(formatMessage(message, { count: 1 }, 'ja'), '1個のファイル');
+    assert.equal(formatMessage(message, { count: 1 }, 'en'), '1 file');
+    assert.equal(formatMessage('{count, plural, other {#件}}', { count: 0 }, 'ja'), '0件');
+});
@@ -0,0 +1,33 @@
+/**
+ * Tests for scripts/lib/markdown.js. Run with: node --test scripts/test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { renderInline, renderMarkdown } = require('../lib/markdown');
+
+test('strong and emphasis', () => {
+    assert.equal(renderInline('**bold** and *italic*'), '<strong>bold</strong> and <em>italic</em>');
+    assert.equal(renderInline('__bold__ and _italic_'), '<strong>bold</strong> and <em>italic</em>');
+    assert.equal(renderInline('*a **b** c*'), '<em>a <strong>b</strong> c</em>');
+});
+
+test('a run of three nests strong inside emphasis', () => {
+    assert.equal(renderInline('***both***'), '<em><strong>both</strong></em>');
+    assert.equal(renderInline('___both___'), '<em><strong>both</strong></em>');
+});
+
+test('a run of three closed one delimiter at a time', () => {
+    assert.equal(renderInline('***a** b*'), '<em><strong>a</strong> b</em>');
+    assert.equal(renderInline('***a* b**'), '<strong><em>a</em> b</strong>');
+});
+
+test('unmatched and intraword delimiters stay literal', () => {
+    assert.equal(renderInline('a *** b'), 'a *** b');
+    assert.equal(renderInline('snake_case_name'), 'snake_case_name');
+    assert.equal(renderInline('`**code**`'), '<code>**code**</code>');
+});
+
+test('emphasis inside block content', () => {
+    assert.equal(renderMarkdown('- ***New*** hover window'), '<ul>\n<li><em><strong>New</strong></em> hover window</li>\n</ul>');
+});
@@ -0,0 +1,25 @@
+/**
+ * Tests for scripts/lib/search-index.js. Run with: node --test scripts/test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { buildDocsIndex } = require('../lib/search-index');
+
+test('results link to the section they were found under', () => {
+    const html = `
+      <article class="docs-article" id="hover">
+        <h2>Hovering</h2>
+        <p>Intro text.</p>
+        <h3 id="how-it-works">How it works</h3>
+        <p>Details.</p>
+        <h3>Untitled anchor</h3>
+        <p>More.</p>
+      </article>`;
+
+    assert.deepEqual(buildDocsIndex(html), [
+        { id: 'hover', anchor: 'hover', title: 'Hovering', section: null, text: 'Intro text.' },
+        { id: 'hover', anchor: 'how-it-works', title: 'Hovering', section: 'How it works', text: 'Details.' },
+        { id: 'hover', anchor: 'hover', title: 'Hovering', section: 'Untitled anchor', text: 'More.' },
+    ]);
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for scripts/lib/settings-reference.js. Run with: node --test scripts/test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { unmappedKeys } = require('../lib/settings-reference');
+
+const reference = {
+    tabs: [{ id: 'settings-behavior', title: 'settings.tab.behavior', description: 'settings.page.description.behavior', settings: ['settings.behavior.hoverDelay'] }],
+    sections: [
+        { title: 'settings.display.basicInfo', prefix: 'settings.display.show', displayItems: ['displayItem.fileSize'] },
+        { title: 'settings.display.exif', hint: 'settings.display.exif.hint', prefix: 'settings.display.exif.', displayItems: ['displayItem.exif'] },
+    ],
+    ignore: ['settings.tab', 'settings.page'],
+};
+
+test('mapped settings and display items are not reported', () => {
+    const keys = [
+        'settings.tab.behavior',
+        'settings.page.description.behavior',
+        'settings.behavior.hoverDelay',
+        'settings.behavior.hoverDelay.description',
+        'settings.display.basicInfo',
+        'settings.display.showFileSize',
+        'settings.display.exif',
+        'settings.display.exif.camera',
+        'displayItem.fileSize',
+        'displayItem.exif',
+        'hover.exif.camera',
+    ];
+    assert.deepEqual(unmappedKeys(reference, keys), []);
+});
+
+test('a setting with no mapping is reported once', () => {
+    const keys = ['settings.behavior.autoHide', 'settings.behavior.autoHide.description', 'settings.behavior.autoHide.hint'];
+    assert.deepEqual(unmappedKeys(reference, keys), ['settings.behavior.autoHide']);
+});
+
+test('a display item with no mapping is reported', () => {
+    const keys = ['displayItem.exif', 'displayItem.model3D'];
+    assert.deepEqual(unmappedKeys(reference, keys), ['displayItem.model3D']);
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for scripts/lib/updates.js. Run with: node --test scripts/test/
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { missingUpdateFields, renderLatestJson, renderAppcast } = require('../lib/updates');
+
+function update(asset = {}) {
+    return {
+        title: 'FinderHover',
+        feedUrl: 'https://example.com/updates/appcast.xml',
+        version: '1.9.0',
+        build: '44',
+        date: new Date('2025-06-01T00:00:00Z'),
+        minimumSystemVersion: '14.0',
+        notarized: true,
+        releaseNotes: {
+            html: '<p>Notes</p>',
+            links: [
+                { lang: 'en', url: 'https://example.com/en/changelog.html#v1.9.0' },
+                { lang: 'ja', url: 'https://example.com/ja/changelog.html#v1.9.0' },
+            ],
+        },
+        assets: [{
+            name: 'FinderHover-v1.9.0.dmg',
+            url: 'https://example.com/FinderHover-v1.9.0.dmg',
+            architectures: ['arm64', 'x86_64'],
+            size: 1234,
+            sha256: 'abc',
+            edSignature: 'sig==',
+            ...asset,
+        }],
+    };
+}
+
+test('a signed release is listed with its size and signature', () => {
+    const xml = renderAppcast(update());
+    assert.deepEqual(missingUpdateFields(update()), []);
+    assert.match(xml, /<enclosure url="https:\/\/example.com\/FinderHover-v1.9.0.dmg" length="1234" type="application\/x-apple-diskimage" sparkle:edSignature="sig==" \/>/);
+    assert.match(xml, /<sparkle:fullReleaseNotesLink xml:lang="ja">/);
+    assert.equal(xml.match(/<description>/g).length, 1);
+});
+
+test('a release without a size, checksum or signature is not rendered at all', () => {
+    for (const field of ['size', 'sha256', 'edSignature']) {
+        const release = update({ [field]: null });
+        assert.deepEqual(missingUpdateFields(release), [`FinderHover-v1.9.0.dmg ${field}`]);
+        assert.throws(() => renderAppcast(release), new RegExp(`without: FinderHover-v1.9.0.dmg ${field}$`));
+        assert.throws(() => renderLatestJson(release), new RegExp(`without: FinderHover-v1.9.0.dmg ${field}$`));
+    }
+});
+
+test('latest.json carries the notes once with every language\'s link', () => {
+    const json = JSON.parse(renderLatestJson(update()));
+    assert.deepEqual(json.releaseNotes, {
+        html: '<p>Notes</p>',
+        urls: {
+            en: 'https://example.com/en/changelog.html#v1.9.0',
+            ja: 'https://example.com/ja/changelog.html#v1.9.0',
+        },
+    });
+});
@@ -0,0 +1,554 @@
+#!/usr/bin/env node
+/**
+ * verify-site.js — Static checks on the built website/ directory.
+ *
+ * Parses every page of every language tree (website/languages.js) with the
+ * build's tag scanner, so markup inside comments or scripts doesn't count
+ * and attribute order doesn't matter. Checks:
+ *   1. `<html lang>` matches the tree; exactly one <title> and one <h1>.
+ *   2. Exactly one canonical and one og:url, both pointing at the page's own
+ *      URL; one hreflang alternate per language plus x-default, each
+ *      pointing at the right language's copy of the page.
+ *   3. robots, og:type/title/description/image and twitter:card meta.
+ *   4. Every internal href/src resolves to a file in website/, and every
+ *      `#fragment` to an id on the target page. Links that components.js
+ *      builds from the language prefix (nav, footer) are checked against
+ *      each language tree as well.
+ *   5. sitemap.xml is well-formed, lists every page URL and nothing that
+ *      doesn't exist; robots.txt references it.
+ *   6. og-image.png is exactly 1200×630.
+ *   7. updates/ exists only once data/release.json records a signed
+ *      build; then appcast.xml is well-formed, lists exactly the version
+ *      updates/latest.json is for, and their release-notes links resolve
+ *      to a changelog anchor.
+ *   8. Every file sw.js precaches exists and still has the revision the
+ *      worker was built with.
+ *   9. Every page has one JSON-LD block that parses, describes the page's
+ *      expected Schema.org types in the page's language, and only links
+ *      into the page's own language tree.
+ *  10. Every language tree's feed.xml is well-formed and dated, and both it
+ *      and feed.json list at least one release.
+ *
+ * Runs without any network or browser. Exits non-zero on any failure.
+ *
+ * Usage: node scripts/verify-site.js [--format text|json|junit]
+ *
+ * `json` and `junit` print a machine-readable report to stdout instead of
+ * the console summary (e.g. `--format junit > verify-site.xml` for CI).
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    WEBSITE_DIR,
+    SITE_ORIGIN,
+    PAGES,
+    ALL_LANGS,
+    SOURCE_LANG,
+    X_DEFAULT_LANG,
+    pageUrl,
+    languageDir,
+    releaseUpdate,
+} = require('./build-i18n');
+const { escapeAttr, escapeHtmlText, findElements, htmlToText, scanTags } = require('./lib/html');
+const { contentHash } = require('./lib/assets');
+const { missingUpdateFields } = require('./lib/updates');
+
+const OG_IMAGE_PATH = path.join(WEBSITE_DIR, 'assets', 'og-image.png');
+const OG_IMAGE_SIZE = { width: 1200, height: 630 };
+
+// Links in components.js are template literals built from the current
+// language prefix, e.g. `${langPrefix}/docs.html` or `${homeHref}#features`.
+const COMPONENT_LINK_PATTERN = /\$\{(langPrefix|homeHref)\}([^`"'\s$]*)/g;
+
+// Schema.org types each page's JSON-LD describes (lib/structured-data.js);
+// pages not listed carry just a breadcrumb.
+const JSON_LD_TYPES = {
+    index: ['SoftwareApplication', 'FAQPage'],
+    download: ['SoftwareApplication', 'BreadcrumbList'],
+};
+
+// Entries of the precache manifest in the generated sw.js.
+const PRECACHE_ENTRY_PATTERN = /\{ url: '([^']+)', revision: '([0-9a-f]+)' \}/g;
+
+// ============================================
+// Results
+// ============================================
+
+/**
+ * Collects one `{ suite, name, ok, message }` result per assertion. Suites
+ * are "<lang>/<page>" for pages and the file name for site-wide checks.
+ */
+function createReport() {
+    const results = [];
+    return {
+        results,
+        check(suite, name, ok, message) {
+            results.push({ suite, name, ok: Boolean(ok), message: ok ? null : message });
+        },
+    };
+}
+
+// ============================================
+// Parsing helpers
+// ============================================
+
+const parsedPages = new Map();
+
+/**
+ * Parse an HTML file once into its opening tags and the ids it defines.
+ */
+function parsePage(file) {
+    if (!parsedPages.has(file)) {
+        const html = fs.readFileSync(file, 'utf8');
+        const tags = [...scanTags(html)].filter((tag) => !tag.closing);
+        const ids = new Set(tags.filter((tag) => tag.attrs.id).map((tag) => tag.attrs.id));
+        parsedPages.set(file, { html, tags, ids });
+    }
+    return parsedPages.get(file);
+}
+
+function metaContent(tags, attr, value) {
+    return tags.filter((tag) => tag.name === 'meta' && tag.attrs[attr] === value).map((tag) => tag.attrs.content);
+}
+
+function linksWithRel(tags, rel) {
+    return tags.filter((tag) => tag.name === 'link' && (tag.attrs.rel || '').split(/\s+/).includes(rel));
+}
+
+/**
+ * Map a site URL to the file that serves it, or null for external URLs.
+ * Directory URLs serve their index.html. Throws a URIError when the path
+ * has a malformed %-escape; resolveHref reports that as a failed check.
+ */
+function resolveSiteFile(url) {
+    if (url.origin !== SITE_ORIGIN) return null;
+    const pathname = decodeURIComponent(url.pathname);
+    return path.join(WEBSITE_DIR, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+}
+
+/**
+ * Resolve `href` against `base` as `{ url, file }` (see resolveSiteFile).
+ * A malformed URL or %-escape fails the check `name` instead of aborting
+ * the run, and gives null.
+ */
+function resolveHref(report, suite, name, href, base) {
+    try {
+        const url = new URL(href, base);
+        return { url, file: resolveSiteFile(url) };
+    } catch (error) {
+        report.check(suite, name, false, `${href} is malformed: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Check one internal link. `base` is the URL the link is resolved against.
+ * Empty fragments ("#") and non-http schemes are ignored.
+ */
+function checkLink(report, suite, base, href) {
+    if (!href || href === '#' || /^(mailto|tel|javascript|data):/i.test(href)) return;
+    const resolved = resolveHref(report, suite, `link ${href}`, href, base);
+    if (!resolved?.file) return;
+    const { url, file } = resolved;
+
+    const target = path.relative(WEBSITE_DIR, file);
+    if (!fs.existsSync(file)) {
+        report.check(suite, `link ${href}`, false, `${href} → ${target} does not exist`);
+        return;
+    }
+    let fragment;
+    try {
+        fragment = decodeURIComponent(url.hash.slice(1));
+    } catch (error) {
+        report.check(suite, `anchor ${href}`, false, `${href} has a malformed fragment: ${error.message}`);
+        return;
+    }
+    if (fragment && file.endsWith('.html')) {
+        report.check(suite, `anchor ${href}`, parsePage(file).ids.has(fragment), `${href} → no id="${fragment}" in ${target}`);
+    } else {
+        report.check(suite, `link ${href}`, true);
+    }
+}
+
+/**
+ * Naive well-formedness check for generated XML: every opening tag has a
+ * matching closing tag in the right order.
+ */
+function xmlBalanceError(xml) {
+    const stack = [];
+    for (const tag of scanTags(xml)) {
+        if (tag.source.endsWith('/>')) continue;
+        if (!tag.closing) {
+            stack.push(tag.name);
+        } else if (stack.pop() !== tag.name) {
+            return `unexpected </${tag.name}> at offset ${tag.start}`;
+        }
+    }
+    return stack.length ? `unclosed <${stack[stack.length - 1]}>` : null;
+}
+
+function readPngSize(file) {
+    const header = fs.readFileSync(file).subarray(0, 24);
+    if (header.toString('latin1', 1, 4) !== 'PNG') return null;
+    return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+}
+
+// ============================================
+// Checks
+// ============================================
+
+function checkPage(report, lang, page) {
+    const suite = `${lang}/${page}`;
+    const file = path.join(languageDir(lang), `${page}.html`);
+    if (!fs.existsSync(file)) {
+        report.check(suite, 'page exists', false, `${path.relative(WEBSITE_DIR, file)} is missing`);
+        return;
+    }
+
+    const { html, tags } = parsePage(file);
+    const selfUrl = pageUrl(lang, page);
+    const count = (name) => tags.filter((tag) => tag.name === name).length;
+
+    const htmlTag = tags.find((tag) => tag.name === 'html');
+    report.check(suite, 'html lang', htmlTag?.attrs.lang === lang, `<html lang="${htmlTag?.attrs.lang}">, expected "${lang}"`);
+    report.check(suite, 'single title', count('title') === 1, `${count('title')} <title> elements`);
+    report.check(suite, 'single h1', count('h1') === 1, `${count('h1')} <h1> elements`);
+    const [title] = findElements(html, (tag) => tag.name === 'title');
+    report.check(suite, 'title not empty', title && htmlToText(html.slice(title.innerStart, title.innerEnd)), '<title> is empty');
+
+    const canonicals = linksWithRel(tags, 'canonical').map((tag) => tag.attrs.href);
+    report.check(suite, 'canonical', canonicals.length === 1 && canonicals[0] === selfUrl,
+        `canonical is [${canonicals.join(', ')}], expected ${selfUrl}`);
+
+    const alternates = linksWithRel(tags, 'alternate').filter((tag) => tag.attrs.hreflang);
+    for (const hreflang of [...ALL_LANGS, 'x-default']) {
+        const expected = pageUrl(hreflang === 'x-default' ? X_DEFAULT_LANG : hreflang, page);
+        const hrefs = alternates.filter((tag) => tag.attrs.hreflang === hreflang).map((tag) => tag.attrs.href);
+        report.check(suite, `hreflang ${hreflang}`, hrefs.length === 1 && hrefs[0] === expected,
+            `hreflang="${hreflang}" is [${hrefs.join(', ')}], expected ${expected}`);
+    }
+    const unknown = alternates.filter((tag) => ![...ALL_LANGS, 'x-default'].includes(tag.attrs.hreflang));
+    report.check(suite, 'no unknown hreflang', unknown.length === 0,
+        `unexpected hreflang ${unknown.map((tag) => `"${tag.attrs.hreflang}"`).join(', ')}`);
+
+    const expectMeta = (attr, name, predicate, describe) => {
+        const values = metaContent(tags, attr, name);
+        report.check(suite, name, values.length === 1 && predicate(values[0]),
+            values.length === 1 ? `${name} is "${values[0]}", expected ${describe}` : `${values.length} ${name} meta tags`);
+    };
+    expectMeta('name', 'robots', Boolean, 'a value');
+    expectMeta('name', 'description', Boolean, 'a value');
+    expectMeta('property', 'og:type', Boolean, 'a value');
+    expectMeta('property', 'og:title', Boolean, 'a value');
+    expectMeta('property', 'og:description', Boolean, 'a value');
+    expectMeta('property', 'og:url', (value) => value === selfUrl, selfUrl);
+    expectMeta('property', 'og:image', (value) => value === `${SITE_ORIGIN}/assets/og-image.png`, `${SITE_ORIGIN}/assets/og-image.png`);
+    expectMeta('name', 'twitter:card', (value) => value === 'summary_large_image', '"summary_large_image"');
+
+    for (const tag of tags) {
+        const href = tag.name === 'a' || tag.name === 'link' ? tag.attrs.href : tag.attrs.src;
+        checkLink(report, suite, selfUrl, href);
+    }
+
+    checkJsonLd(report, suite, html, lang, page);
+}
+
+/**
+ * Every string value in a JSON-LD tree.
+ */
+function jsonLdStrings(value) {
+    if (typeof value === 'string') return [value];
+    if (value && typeof value === 'object') return Object.values(value).flatMap(jsonLdStrings);
+    return [];
+}
+
+function checkJsonLd(report, suite, html, lang, page) {
+    const blocks = findElements(html, (tag) => tag.name === 'script' && tag.attrs.type === 'application/ld+json');
+    report.check(suite, 'single JSON-LD', blocks.length === 1, `${blocks.length} JSON-LD <script> elements`);
+    if (blocks.length !== 1) return;
+
+    let data;
+    try {
+        data = JSON.parse(html.slice(blocks[0].innerStart, blocks[0].innerEnd));
+    } catch (error) {
+        report.check(suite, 'JSON-LD parses', false, `JSON-LD: ${error.message}`);
+        return;
+    }
+    const nodes = data['@graph'] || [];
+    const types = nodes.map((node) => node['@type']);
+    const expected = JSON_LD_TYPES[page] || ['BreadcrumbList'];
+    report.check(suite, 'JSON-LD types', expected.join() === types.join(),
+        `JSON-LD describes [${types.join(', ')}], expected [${expected.join(', ')}]`);
+    for (const node of nodes) {
+        report.check(suite, `JSON-LD ${node['@type']} language`, node.inLanguage === lang,
+            `${node['@type']} has inLanguage "${node.inLanguage}", expected "${lang}"`);
+    }
+
+    const ownPages = new Set(PAGES.map((target) => pageUrl(lang, target)));
+    const foreign = jsonLdStrings(data).filter((value) =>
+        value.startsWith(SITE_ORIGIN) && !value.startsWith(`${SITE_ORIGIN}/assets/`) && !ownPages.has(value));
+    report.check(suite, 'JSON-LD links', foreign.length === 0, `JSON-LD links outside /${lang}/: ${foreign.join(', ')}`);
+
+    const breadcrumb = nodes.find((node) => node['@type'] === 'BreadcrumbList');
+    const lastCrumb = breadcrumb?.itemListElement.at(-1)?.item;
+    if (breadcrumb) {
+        report.check(suite, 'JSON-LD breadcrumb', lastCrumb === pageUrl(lang, page),
+            `breadcrumb ends at ${lastCrumb}, expected ${pageUrl(lang, page)}`);
+    }
+}
+
+/**
+ * Links the nav and footer components render, resolved against each
+ * language tree's root.
+ */
+function checkComponentLinks(report, lang) {
+    const source = fs.readFileSync(path.join(WEBSITE_DIR, 'components.js'), 'utf8');
+    const prefix = lang === SOURCE_LANG ? '' : `/${lang}`;
+    const hrefs = new Set();
+    for (const match of source.matchAll(COMPONENT_LINK_PATTERN)) {
+        hrefs.add(match[1] === 'homeHref' ? `${prefix}/${match[2]}` : `${prefix}${match[2]}`);
+    }
+    for (const href of hrefs) checkLink(report, `${lang}/components`, `${SITE_ORIGIN}/`, href);
+}
+
+function checkSitemap(report) {
+    const suite = 'sitemap.xml';
+    const file = path.join(WEBSITE_DIR, 'sitemap.xml');
+    if (!fs.existsSync(file)) {
+        report.check(suite, 'exists', false, 'sitemap.xml is missing');
+        return;
+    }
+    const xml = fs.readFileSync(file, 'utf8');
+    const balanceError = xmlBalanceError(xml);
+    report.check(suite, 'well-formed', !balanceError, `sitemap.xml is not well-formed: ${balanceError}`);
+
+    const locs = findElements(xml, (tag) => tag.name === 'loc').map(({ innerStart, innerEnd }) => xml.slice(innerStart, innerEnd).trim());
+    for (const lang of ALL_LANGS) {
+        for (const page of PAGES) {
+            const url = pageUrl(lang, page);
+            report.check(suite, `lists ${lang}/${page}`, locs.includes(url), `<loc>${url}</loc> missing`);
+        }
+    }
+    for (const loc of locs) {
+        const resolved = resolveHref(report, suite, `loc ${loc}`, loc);
+        if (!resolved) continue;
+        report.check(suite, `loc ${loc}`, resolved.file && fs.existsSync(resolved.file), `${loc} does not resolve to a file in website/`);
+    }
+}
+
+function checkRobots(report) {
+    const file = path.join(WEBSITE_DIR, 'robots.txt');
+    const content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    report.check('robots.txt', 'exists', content !== null, 'robots.txt is missing');
+    if (content === null) return;
+    const line = `Sitemap: ${SITE_ORIGIN}/sitemap.xml`;
+    report.check('robots.txt', 'sitemap', content.split('\n').includes(line), `missing "${line}"`);
+}
+
+function checkFeeds(report, lang) {
+    const suite = `${lang}/feeds`;
+    const atomFile = path.join(languageDir(lang), 'feed.xml');
+    const jsonFile = path.join(languageDir(lang), 'feed.json');
+    const missing = [atomFile, jsonFile].filter((file) => !fs.existsSync(file));
+    report.check(suite, 'exists', missing.length === 0,
+        `missing ${missing.map((file) => path.relative(WEBSITE_DIR, file)).join(', ')}`);
+    if (missing.length) return;
+
+    const xml = fs.readFileSync(atomFile, 'utf8');
+    const balanceError = xmlBalanceError(xml);
+    report.check(suite, 'atom well-formed', !balanceError, `feed.xml is not well-formed: ${balanceError}`);
+    const entries = findElements(xml, (tag) => tag.name === 'entry');
+    report.check(suite, 'atom entries', entries.length > 0, 'feed.xml has no <entry>');
+    // The feed's own <updated> comes before its entries'
+    const firstEntry = entries.length ? entries[0].tag.start : xml.length;
+    const updated = findElements(xml, (tag) => tag.name === 'updated' && tag.start < firstEntry);
+    report.check(suite, 'atom updated', updated.length === 1, 'feed.xml has no feed-level <updated>');
+
+    let json = null;
+    try {
+        json = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+    } catch (error) {
+        report.check(suite, 'json parses', false, `feed.json: ${error.message}`);
+        return;
+    }
+    report.check(suite, 'json items', Array.isArray(json.items) && json.items.length > 0, 'feed.json has no items');
+}
+
+function checkUpdates(report) {
+    const suite = 'updates';
+    const appcastFile = path.join(WEBSITE_DIR, 'updates', 'appcast.xml');
+    const latestFile = path.join(WEBSITE_DIR, 'updates', 'latest.json');
+    let unpublished;
+    try {
+        unpublished = missingUpdateFields(releaseUpdate());
+    } catch (error) {
+        report.check(suite, 'release', false, error.message);
+        return;
+    }
+    if (unpublished.length > 0) {
+        report.check(suite, 'not published', !fs.existsSync(path.join(WEBSITE_DIR, 'updates')),
+            `updates/ is published, but the release has no ${unpublished.join(', ')}`);
+        return;
+    }
+    const missing = [appcastFile, latestFile].filter((file) => !fs.existsSync(file));
+    report.check(suite, 'exists', missing.length === 0,
+        `missing ${missing.map((file) => path.relative(WEBSITE_DIR, file)).join(', ')}`);
+    if (missing.length) return;
+
+    const xml = fs.readFileSync(appcastFile, 'utf8');
+    const balanceError = xmlBalanceError(xml);
+    report.check(suite, 'appcast well-formed', !balanceError, `appcast.xml is not well-formed: ${balanceError}`);
+    let latest = null;
+    try {
+        latest = JSON.parse(fs.readFileSync(latestFile, 'utf8'));
+    } catch (error) {
+        report.check(suite, 'latest.json parses', false, `latest.json: ${error.message}`);
+        return;
+    }
+
+    // The tag scanner lowercases names.
+    const text = (name) => findElements(xml, (tag) => tag.name === name).map(({ innerStart, innerEnd }) => xml.slice(innerStart, innerEnd).trim());
+    const versions = text('sparkle:shortversionstring');
+    report.check(suite, 'version', versions.length === 1 && versions[0] === latest.version,
+        `appcast.xml is for ${versions.join(', ') || 'no version'}, latest.json for ${latest.version}`);
+    const links = [...text('sparkle:fullreleasenoteslink'), ...Object.values(latest.releaseNotes.urls)];
+    for (const link of new Set(links)) checkLink(report, suite, `${SITE_ORIGIN}/`, link);
+}
+
+function checkServiceWorker(report) {
+    const suite = 'sw.js';
+    const file = path.join(WEBSITE_DIR, 'sw.js');
+    if (!fs.existsSync(file)) {
+        report.check(suite, 'exists', false, 'sw.js is missing');
+        return;
+    }
+    const entries = [...fs.readFileSync(file, 'utf8').matchAll(PRECACHE_ENTRY_PATTERN)];
+    report.check(suite, 'manifest', entries.length > 0, 'sw.js has no precache entries');
+    for (const [, url, revision] of entries) {
+        const resolved = resolveHref(report, suite, `precache ${url}`, url, SITE_ORIGIN);
+        if (!resolved) continue;
+        const target = resolved.file;
+        if (!fs.existsSync(target)) {
+            report.check(suite, `precache ${url}`, false, `${url} does not exist`);
+            continue;
+        }
+        report.check(suite, `precache ${url}`, contentHash(fs.readFileSync(target)) === revision,
+            `${url} changed since sw.js was built; run scripts/build-i18n.js`);
+    }
+}
+
+function checkOgImage(report) {
+    const suite = 'og-image.png';
+    if (!fs.existsSync(OG_IMAGE_PATH)) {
+        report.check(suite, 'exists', false, 'assets/og-image.png is missing');
+        return;
+    }
+    const size = readPngSize(OG_IMAGE_PATH);
+    const expected = `${OG_IMAGE_SIZE.width}x${OG_IMAGE_SIZE.height}`;
+    const actual = size ? `${size.width}x${size.height}` : 'not a PNG';
+    report.check(suite, 'dimensions', actual === expected, `og-image.png is ${actual}, expected ${expected}`);
+}
+
+function verifySite() {
+    const report = createReport();
+    for (const lang of ALL_LANGS) {
+        for (const page of PAGES) checkPage(report, lang, page);
+        checkComponentLinks(report, lang);
+        checkFeeds(report, lang);
+    }
+    checkSitemap(report);
+    checkRobots(report);
+    checkUpdates(report);
+    checkServiceWorker(report);
+    checkOgImage(report);
+    return report.results;
+}
+
+// ============================================
+// Output
+// ============================================
+
+function groupBySuite(results) {
+    const suites = new Map();
+    for (const result of results) {
+        if (!suites.has(result.suite)) suites.set(result.suite, []);
+        suites.get(result.suite).push(result);
+    }
+    return suites;
+}
+
+function formatJson(results) {
+    const failures = results.filter((result) => !result.ok);
+    return `${JSON.stringify({ passed: results.length - failures.length, failed: failures.length, results }, null, 2)}\n`;
+}
+
+function formatJunit(results) {
+    const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    const failed = results.filter((result) => !result.ok).length;
+    lines.push(`<testsuites name="verify-site" tests="${results.length}" failures="${failed}">`);
+    for (const [suite, cases] of groupBySuite(results)) {
+        const suiteFailures = cases.filter((result) => !result.ok).length;
+        lines.push(`  <testsuite name="${escapeAttr(suite)}" tests="${cases.length}" failures="${suiteFailures}">`);
+        for (const result of cases) {
+            const name = `  <testcase classname="${escapeAttr(suite)}" name="${escapeAttr(result.name)}"`;
+            if (result.ok) {
+                lines.push(`  ${name} />`);
+            } else {
+                lines.push(
+                    `  ${name}>`,
+                    `      <failure message="${escapeAttr(result.message)}">${escapeHtmlText(result.message)}</failure>`,
+                    '    </testcase>',
+                );
+            }
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>', '');
+    return lines.join('\n');
+}
+
+function printSummary(results) {
+    const failures = results.filter((result) => !result.ok);
+    for (const result of failures) {
+        console.log(`  \x1b[31mFAIL\x1b[0m [${result.suite}] ${result.message}`);
+    }
+
+    console.log();
+    console.log('===============================');
+    console.log(`Passed: ${results.length - failures.length}`);
+    console.log(`Failed: ${failures.length}`);
+    console.log('===============================');
+
+    if (failures.length === 0) console.log('All site checks passed.');
+}
+
+function main() {
+    const formatIndex = process.argv.indexOf('--format');
+    const format = formatIndex === -1 ? 'text' : process.argv[formatIndex + 1];
+    const formatters = { json: formatJson, junit: formatJunit };
+    if (format !== 'text' && !formatters[format]) {
+        console.error(`Unknown --format "${format}" (expected text, json or junit)`);
+        process.exit(2);
+    }
+
+    const results = verifySite();
+    if (format === 'text') {
+        printSummary(results);
+    } else {
+        process.stdout.write(formatters[format](results));
+    }
+    if (results.some((result) => !result.ok)) process.exit(1);
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    resolveSiteFile,
+    xmlBalanceError,
+    verifySite,
+    formatJson,
+    formatJunit,
+};
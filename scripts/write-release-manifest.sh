@@ -0,0 +1,78 @@
+#!/bin/bash
+set -e
+
+# ─────────────────────────────────────────────────────────────
+# write-release-manifest.sh
+#
+# Records a finished build in website/data/release.json, which
+# the download page is rendered from (scripts/build-i18n.js):
+# version, asset names, sizes, SHA-256 checksums, architectures,
+# minimum macOS version and notarization status. The site's
+# update endpoints (/updates/) are generated from it too, but only
+# once it has every size, checksum and the signature.
+#
+# Set SPARKLE_SIGN_UPDATE to the path of Sparkle's sign_update tool
+# to also record each asset's EdDSA signature for the appcast.
+#
+# Called by build-dmg-signed.sh from the project root once the
+# assets exist; the first asset is the page's primary download.
+# Unsigned test builds (build-dmg.sh) don't record anything, so
+# the page never links to a build that isn't the published one.
+#
+# Usage:
+#   ./scripts/write-release-manifest.sh <version> <notarized: true|false> <asset>...
+# ─────────────────────────────────────────────────────────────
+
+VERSION="$1"
+NOTARIZED="$2"
+shift 2
+
+APP_PATH="build/Release/FinderHover.app"
+MANIFEST_PATH="website/data/release.json"
+
+if [ -z "$VERSION" ] || [ "$#" -eq 0 ]; then
+    echo "❌ Usage: $0 <version> <notarized: true|false> <asset>..."
+    exit 1
+fi
+if [ "$NOTARIZED" != "true" ] && [ "$NOTARIZED" != "false" ]; then
+    echo "❌ Error: notarized must be \"true\" or \"false\", got \"$NOTARIZED\""
+    exit 1
+fi
+
+BUILD=$(/usr/libexec/PlistBuddy -c "Print CFBundleVersion" "${APP_PATH}/Contents/Info.plist")
+MINIMUM_SYSTEM=$(/usr/libexec/PlistBuddy -c "Print LSMinimumSystemVersion" "${APP_PATH}/Contents/Info.plist")
+# "x86_64 arm64" → "x86_64", "arm64"
+ARCHITECTURES=$(lipo -archs "${APP_PATH}/Contents/MacOS/FinderHover" | tr ' ' '\n' | sort | sed 's/.*/"&"/' | paste -sd, - | sed 's/,/, /g')
+
+echo "📝 Writing ${MANIFEST_PATH}..."
+trap 'rm -f "${MANIFEST_PATH}.tmp"' EXIT
+{
+    echo "{"
+    echo "  \"version\": \"${VERSION}\","
+    echo "  \"build\": \"${BUILD}\","
+    echo "  \"tag\": \"v${VERSION}\","
+    echo "  \"minimumSystemVersion\": \"${MINIMUM_SYSTEM}\","
+    echo "  \"notarized\": ${NOTARIZED},"
+    echo "  \"assets\": ["
+    COUNT=0
+    for ASSET in "$@"; do
+        if [ ! -f "$ASSET" ]; then
+            echo "❌ Error: Cannot find $ASSET" >&2
+            exit 1
+        fi
+        COUNT=$((COUNT + 1))
+        SEPARATOR=$([ "$COUNT" -lt "$#" ] && echo "," || echo "")
+        SIZE=$(stat -f%z "$ASSET")
+        SHA256=$(shasum -a 256 "$ASSET" | awk '{print $1}')
+        SIGNATURE="null"
+        if [ -n "$SPARKLE_SIGN_UPDATE" ]; then
+            SIGNATURE="\"$("$SPARKLE_SIGN_UPDATE" -p "$ASSET")\""
+        fi
+        echo "    { \"name\": \"$(basename "$ASSET")\", \"architectures\": [${ARCHITECTURES}], \"size\": ${SIZE}, \"sha256\": \"${SHA256}\", \"edSignature\": ${SIGNATURE} }${SEPARATOR}"
+    done
+    echo "  ]"
+    echo "}"
+} > "${MANIFEST_PATH}.tmp"
+mv "${MANIFEST_PATH}.tmp" "$MANIFEST_PATH"
+
+echo "✅ Release manifest updated — run \`node scripts/build-i18n.js\` to refresh the download page"
@@ -3,7 +3,8 @@
  * Reduces duplicate code between pages
  */
 
-const LANG_PREFIXES = ['en', 'ja'];
+const SOURCE_LANG = window.SITE_LANGUAGES.find((language) => language.source).code;
+const LANG_PREFIXES = window.SITE_LANGUAGES.filter((language) => !language.source).map((language) => language.code);
 
 /**
  * Extract the language prefix for the current URL, e.g. "/en" or "".
@@ -14,23 +15,130 @@ function getLangPrefix() {
     return first && LANG_PREFIXES.includes(first) ? `/${first}` : '';
 }
 
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ============================================
+// Base Component
+// ============================================
+const I18N_EVENTS = ['i18n:languagechange', 'i18n:translationsloaded'];
+
+/**
+ * Base for the site's components. Renders from attributes, re-renders when
+ * an observed attribute changes or i18n.js announces a language, and then
+ * localizes its own data-i18n markup, so the result doesn't depend on
+ * whether i18n.js had loaded when the element connected.
+ *
+ * Subclasses implement `render()`. Markup authored inside the element is
+ * captured once, before the first render, as `this.authoredContent`.
+ */
+class SiteElement extends HTMLElement {
+    connectedCallback() {
+        if (this.authoredContent === undefined) this.authoredContent = this.innerHTML;
+        this.onLanguageEvent = () => this.update();
+        I18N_EVENTS.forEach((type) => document.addEventListener(type, this.onLanguageEvent));
+        this.update();
+    }
+
+    disconnectedCallback() {
+        I18N_EVENTS.forEach((type) => document.removeEventListener(type, this.onLanguageEvent));
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue !== newValue && this.isConnected && this.authoredContent !== undefined) this.update();
+    }
+
+    update() {
+        const focusPath = this.focusPath();
+        this.render();
+        if (window.i18n?.catalogs.length > 0) window.i18n.applyElementTranslations(this);
+        if (focusPath) this.restoreFocus(focusPath);
+    }
+
+    /**
+     * Where focus is inside the element, as child indexes from `this`, or
+     * null if it's elsewhere. render() replaces the markup, so update() puts
+     * focus back on whatever now sits at the same place.
+     */
+    focusPath() {
+        const path = [];
+        for (let el = document.activeElement; el && el !== this; el = el.parentElement) {
+            if (!this.contains(el)) return null;
+            path.unshift([...el.parentElement.children].indexOf(el));
+        }
+        return path.length > 0 ? path : null;
+    }
+
+    restoreFocus(path) {
+        let el = this;
+        for (const index of path) {
+            el = el?.children[index];
+        }
+        if (el && el !== document.activeElement) el.focus({ preventScroll: true });
+    }
+
+    /**
+     * An attribute's value, escaped for interpolation into markup.
+     */
+    attr(name) {
+        return escapeHtml(this.getAttribute(name) || '');
+    }
+}
+
 // ============================================
 // Site Navigation Component
 // ============================================
-class SiteNav extends HTMLElement {
+/**
+ * The site header. The language switcher is a WAI-ARIA menu button (a
+ * `menuitemradio` per language, arrow keys to move, Escape to close) and the
+ * mobile menu a disclosure that keeps focus inside the header while it's
+ * open and hands it back to its toggle when it closes.
+ */
+class SiteNav extends SiteElement {
+    static get observedAttributes() {
+        return ['home'];
+    }
+
     connectedCallback() {
-        const isHome = this.getAttribute('home') !== null;
+        // One listener per connection, removed again in disconnectedCallback;
+        // render() only rewires the elements it replaces.
+        this.onDocumentClick = (e) => {
+            if (!this.querySelector('.lang-switcher')?.contains(e.target)) this.closeLangMenu();
+        };
+        document.addEventListener('click', this.onDocumentClick);
+        super.connectedCallback();
+    }
+
+    disconnectedCallback() {
+        document.removeEventListener('click', this.onDocumentClick);
+        super.disconnectedCallback();
+    }
+
+    render() {
+        const isHome = this.hasAttribute('home');
         const langPrefix = getLangPrefix();
         const homeHref = `${langPrefix}/`;
         const homeLink = isHome ? '#' : homeHref;
         const featuresLink = isHome ? '#features' : `${homeHref}#features`;
 
-        // Get current language from i18n if available
-        const langNames = { 'zh-Hant': '繁', 'ja': '日', 'en': 'EN' };
-        const langFullNames = { 'zh-Hant': '繁體中文', 'ja': '日本語', 'en': 'English' };
-        const currentLang = window.i18n?.currentLang || 'zh-Hant';
-        const currentLangDisplay = langNames[currentLang] || '繁';
-        const currentLangFull = langFullNames[currentLang] || '繁體中文';
+        // Get current language from i18n if available, else from the URL
+        const currentLang = window.i18n?.currentLang || langPrefix.slice(1) || SOURCE_LANG;
+        const current = window.SITE_LANGUAGES.find((language) => language.code === currentLang);
+        const currentArgs = escapeHtml(JSON.stringify({ language: current.name }));
+        const langOptions = window.SITE_LANGUAGES.map((language) => {
+            const checked = language.code === currentLang;
+            return `
+                <button class="lang-option${checked ? ' active' : ''}" role="menuitemradio" aria-checked="${checked}" tabindex="-1" data-lang="${language.code}" lang="${language.code}">${language.name}</button>`;
+        }).join('');
+
+        // Re-renders (a language loading, say) keep the menus as they were
+        const langMenuOpen = this.querySelector('.lang-switcher')?.classList.contains('open');
+        const mobileMenuOpen = this.querySelector('.nav')?.classList.contains('menu-open');
 
         this.innerHTML = `
       <nav class="nav">
@@ -39,33 +147,31 @@ class SiteNav extends HTMLElement {
             <img src="/assets/icon-128.png" alt="FinderHover" />
             <span>FinderHover</span>
           </a>
-          <button class="nav-menu-toggle" aria-label="Toggle menu">
-            <svg class="menu-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <button class="nav-menu-toggle" aria-expanded="false" aria-controls="nav-links" aria-label="切換選單" data-i18n-attr="aria-label:nav.toggleMenu">
+            <svg class="menu-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
               <line x1="3" y1="6" x2="21" y2="6"/>
               <line x1="3" y1="12" x2="21" y2="12"/>
               <line x1="3" y1="18" x2="21" y2="18"/>
             </svg>
-            <svg class="close-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <svg class="close-icon" width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
               <line x1="18" y1="6" x2="6" y2="18"/>
               <line x1="6" y1="6" x2="18" y2="18"/>
             </svg>
           </button>
-          <div class="nav-links">
+          <div class="nav-links" id="nav-links">
             <a href="${featuresLink}" data-i18n="nav.features">功能</a>
             <a href="${langPrefix}/formats.html" data-i18n="nav.formats">格式</a>
             <a href="${langPrefix}/docs.html" data-i18n="nav.docs">文件</a>
             <a href="${langPrefix}/changelog.html" data-i18n="nav.changelog">更新日誌</a>
             <div class="lang-switcher">
-              <button class="lang-current" aria-label="Change language">
-                <span class="lang-text-desktop">${currentLangDisplay}</span>
-                <span class="lang-text-mobile">${currentLangFull}</span>
+              <button class="lang-current" aria-haspopup="menu" aria-expanded="false" aria-controls="lang-menu" aria-label="語言：${escapeHtml(current.name)}" data-i18n-attr="aria-label:nav.currentLanguage" data-i18n-args="${currentArgs}">
+                <span class="lang-text-desktop">${current.shortName}</span>
+                <span class="lang-text-mobile">${current.name}</span>
               </button>
-              <div class="lang-dropdown">
-                <button class="lang-option${currentLang === 'zh-Hant' ? ' active' : ''}" data-lang="zh-Hant">繁體中文</button>
-                <button class="lang-option${currentLang === 'ja' ? ' active' : ''}" data-lang="ja">日本語</button>
-                <button class="lang-option${currentLang === 'en' ? ' active' : ''}" data-lang="en">English</button>
+              <div class="lang-dropdown" id="lang-menu" role="menu" aria-label="切換語言" data-i18n-attr="aria-label:nav.changeLanguage">${langOptions}
               </div>
             </div>
+            <theme-switcher></theme-switcher>
             <a href="${langPrefix}/download.html" class="nav-cta-mobile" data-i18n="nav.download">下載</a>
           </div>
           <a href="${langPrefix}/download.html" class="nav-cta" data-i18n="nav.download">下載</a>
@@ -79,64 +185,248 @@ class SiteNav extends HTMLElement {
         // Setup mobile menu toggle
         this.setupMobileMenu();
 
-        // Apply translations if i18n is ready
-        if (window.i18n?.translations && Object.keys(window.i18n.translations).length > 0) {
-            window.i18n.applyTranslations();
+        if (langMenuOpen) {
+            this.querySelector('.lang-switcher').classList.add('open');
+            this.querySelector('.lang-current').setAttribute('aria-expanded', 'true');
+        }
+        if (mobileMenuOpen) {
+            this.querySelector('.nav').classList.add('menu-open');
+            this.querySelector('.nav-menu-toggle').setAttribute('aria-expanded', 'true');
         }
     }
 
+    /**
+     * Open the language menu and focus an item: `'last'` for the last one,
+     * otherwise the current language.
+     */
+    openLangMenu(target) {
+        const switcher = this.querySelector('.lang-switcher');
+        const options = [...switcher.querySelectorAll('.lang-option')];
+        switcher.classList.add('open');
+        switcher.querySelector('.lang-current').setAttribute('aria-expanded', 'true');
+        const item = target === 'last'
+            ? options[options.length - 1]
+            : options.find((opt) => opt.getAttribute('aria-checked') === 'true') || options[0];
+        item.focus();
+    }
+
+    closeLangMenu({ restoreFocus = false } = {}) {
+        const switcher = this.querySelector('.lang-switcher');
+        if (!switcher?.classList.contains('open')) return;
+        const current = switcher.querySelector('.lang-current');
+        switcher.classList.remove('open');
+        current.setAttribute('aria-expanded', 'false');
+        if (restoreFocus) current.focus();
+    }
+
     setupLangSwitcher() {
         const switcher = this.querySelector('.lang-switcher');
         const current = this.querySelector('.lang-current');
-        const dropdown = this.querySelector('.lang-dropdown');
+        const options = [...this.querySelectorAll('.lang-option')];
 
-        // Toggle dropdown
+        // Click, Enter and Space toggle the menu; outside clicks close it (see
+        // connectedCallback)
         current.addEventListener('click', (e) => {
             e.stopPropagation();
-            switcher.classList.toggle('open');
+            if (switcher.classList.contains('open')) this.closeLangMenu();
+            else this.openLangMenu();
+        });
+
+        current.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.openLangMenu(e.key === 'ArrowUp' ? 'last' : 'current');
+            }
+        });
+
+        // Arrow keys, Home and End move between languages, wrapping at the
+        // ends; Escape returns to the button and Tab moves on past it
+        switcher.querySelector('.lang-dropdown').addEventListener('keydown', (e) => {
+            const index = options.indexOf(document.activeElement);
+            const next = {
+                ArrowDown: (index + 1) % options.length,
+                ArrowUp: (index - 1 + options.length) % options.length,
+                Home: 0,
+                End: options.length - 1,
+            }[e.key];
+
+            if (next !== undefined) {
+                e.preventDefault();
+                options[next].focus();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.closeLangMenu({ restoreFocus: true });
+            } else if (e.key === 'Tab') {
+                this.closeLangMenu();
+            }
         });
 
-        // Close on outside click
-        document.addEventListener('click', () => {
-            switcher.classList.remove('open');
+        switcher.addEventListener('focusout', (e) => {
+            if (e.relatedTarget && !switcher.contains(e.relatedTarget)) this.closeLangMenu();
         });
 
         // Language selection
-        this.querySelectorAll('.lang-option').forEach(opt => {
+        options.forEach((opt) => {
             opt.addEventListener('click', (e) => {
                 e.stopPropagation();
                 const lang = opt.getAttribute('data-lang');
+                this.closeLangMenu({ restoreFocus: true });
                 if (window.i18n) {
                     window.i18n.switchTo(lang);
                 }
-                switcher.classList.remove('open');
             });
         });
     }
 
+    /**
+     * The header's keyboard-reachable controls, in tab order. The language
+     * options are left out since they're reached with the arrow keys.
+     */
+    focusableControls() {
+        return [...this.querySelectorAll('.nav a[href], .nav button:not([tabindex="-1"])')]
+            .filter((el) => el.getClientRects().length > 0);
+    }
+
+    setMobileMenuOpen(open, { restoreFocus = false } = {}) {
+        const nav = this.querySelector('.nav');
+        const toggle = this.querySelector('.nav-menu-toggle');
+        nav.classList.toggle('menu-open', open);
+        toggle.setAttribute('aria-expanded', String(open));
+        if (open) this.querySelector('.nav-links a[href]').focus();
+        else if (restoreFocus) toggle.focus();
+    }
+
     setupMobileMenu() {
         const toggle = this.querySelector('.nav-menu-toggle');
         const navLinks = this.querySelector('.nav-links');
         const nav = this.querySelector('.nav');
 
         toggle.addEventListener('click', () => {
-            nav.classList.toggle('menu-open');
+            this.setMobileMenuOpen(!nav.classList.contains('menu-open'));
+        });
+
+        // While the menu covers the page, Tab cycles within the header and
+        // Escape closes it. The toggle is hidden on wide screens, where the
+        // links are inline and there's nothing to trap.
+        nav.addEventListener('keydown', (e) => {
+            if (!nav.classList.contains('menu-open') || toggle.getClientRects().length === 0) return;
+
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.setMobileMenuOpen(false, { restoreFocus: true });
+            } else if (e.key === 'Tab') {
+                const controls = this.focusableControls();
+                const first = controls[0];
+                const last = controls[controls.length - 1];
+                if (e.shiftKey && document.activeElement === first) {
+                    e.preventDefault();
+                    last.focus();
+                } else if (!e.shiftKey && document.activeElement === last) {
+                    e.preventDefault();
+                    first.focus();
+                }
+            }
         });
 
         // Close menu when clicking a link
         navLinks.querySelectorAll('a').forEach(link => {
             link.addEventListener('click', () => {
-                nav.classList.remove('menu-open');
+                this.setMobileMenuOpen(false);
             });
         });
     }
 }
 
 // ============================================
-// Site Footer Component
+// Theme Switcher Component
 // ============================================
-class SiteFooter extends HTMLElement {
+/**
+ * Light, dark or system appearance, as a WAI-ARIA radio group: arrow keys
+ * move the selection and only the selected option is in the tab order.
+ * The choice is applied and saved by theme.js (window.siteTheme).
+ */
+class ThemeSwitcher extends SiteElement {
     connectedCallback() {
+        this.onThemeChange = () => this.syncSelection();
+        document.addEventListener('theme:change', this.onThemeChange);
+        super.connectedCallback();
+    }
+
+    disconnectedCallback() {
+        document.removeEventListener('theme:change', this.onThemeChange);
+        super.disconnectedCallback();
+    }
+
+    render() {
+        this.innerHTML = `
+      <div class="theme-switcher" role="radiogroup" aria-label="外觀" data-i18n-attr="aria-label:theme.label">
+        <span class="theme-switcher-label" aria-hidden="true" data-i18n="theme.label">外觀</span>
+        <button type="button" class="theme-option" role="radio" data-preference="light" aria-label="淺色" title="淺色" data-i18n-attr="aria-label:theme.light;title:theme.light">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <circle cx="12" cy="12" r="4"/>
+            <path d="M12 2v2M12 20v2M4.93 4.93l1.41 1.41M17.66 17.66l1.41 1.41M2 12h2M20 12h2M4.93 19.07l1.41-1.41M17.66 6.34l1.41-1.41"/>
+          </svg>
+        </button>
+        <button type="button" class="theme-option" role="radio" data-preference="dark" aria-label="深色" title="深色" data-i18n-attr="aria-label:theme.dark;title:theme.dark">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/>
+          </svg>
+        </button>
+        <button type="button" class="theme-option" role="radio" data-preference="system" aria-label="跟隨系統" title="跟隨系統" data-i18n-attr="aria-label:theme.system;title:theme.system">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <rect x="2" y="3" width="20" height="14" rx="2"/>
+            <path d="M8 21h8M12 17v4"/>
+          </svg>
+        </button>
+      </div>
+    `;
+
+        const options = [...this.querySelectorAll('.theme-option')];
+        const select = (option) => window.siteTheme?.setPreference(option.dataset.preference);
+
+        options.forEach((option) => {
+            option.addEventListener('click', () => select(option));
+        });
+
+        this.querySelector('.theme-switcher').addEventListener('keydown', (e) => {
+            const index = options.indexOf(document.activeElement);
+            const next = {
+                ArrowRight: (index + 1) % options.length,
+                ArrowDown: (index + 1) % options.length,
+                ArrowLeft: (index - 1 + options.length) % options.length,
+                ArrowUp: (index - 1 + options.length) % options.length,
+                Home: 0,
+                End: options.length - 1,
+            }[e.key];
+            if (index === -1 || next === undefined) return;
+            e.preventDefault();
+            options[next].focus();
+            select(options[next]);
+        });
+
+        this.syncSelection();
+    }
+
+    /**
+     * Check the option for the current preference and make it the one Tab
+     * stops on.
+     */
+    syncSelection() {
+        const preference = window.siteTheme?.preference || 'system';
+        this.querySelectorAll('.theme-option').forEach((option) => {
+            const checked = option.dataset.preference === preference;
+            option.setAttribute('aria-checked', String(checked));
+            option.tabIndex = checked ? 0 : -1;
+        });
+    }
+}
+
+// ============================================
+// Site Footer Component
+// ============================================
+class SiteFooter extends SiteElement {
+    render() {
         const year = new Date().getFullYear();
         const langPrefix = getLangPrefix();
 
@@ -148,7 +438,7 @@ class SiteFooter extends HTMLElement {
             <a href="${langPrefix}/changelog.html" data-i18n="footer.changelog">更新日誌</a>
             <a href="${langPrefix}/license.html" data-i18n="footer.license">授權條款</a>
           </div>
-          <p class="footer-copyright" data-i18n="footer.copyright">
+          <p class="footer-copyright" data-i18n="footer.copyright" data-i18n-args='{"year": ${year}}'>
             © ${year} KoukeNeko. 依 MIT 授權條款釋出。
           </p>
         </div>
@@ -160,15 +450,16 @@ class SiteFooter extends HTMLElement {
 // ============================================
 // Page Hero Component (for subpages)
 // ============================================
-class PageHero extends HTMLElement {
-    connectedCallback() {
-        const title = this.getAttribute('title') || '';
-        const subtitle = this.getAttribute('subtitle') || '';
+class PageHero extends SiteElement {
+    static get observedAttributes() {
+        return ['title', 'subtitle'];
+    }
 
+    render() {
         this.innerHTML = `
       <section class="page-hero">
-        <h1 class="page-headline">${title}</h1>
-        <p class="page-subheadline">${subtitle}</p>
+        <h1 class="page-headline">${this.attr('title')}</h1>
+        <p class="page-subheadline">${this.attr('subtitle')}</p>
       </section>
     `;
     }
@@ -177,12 +468,10 @@ class PageHero extends HTMLElement {
 // ============================================
 // Copy Button Component
 // ============================================
-class CopyButton extends HTMLElement {
-    connectedCallback() {
-        const command = this.getAttribute('command') || '';
-
+class CopyButton extends SiteElement {
+    render() {
         this.innerHTML = `
-      <button class="copy-btn" aria-label="複製到剪貼簿">
+      <button class="copy-btn" aria-label="複製到剪貼簿" data-i18n-attr="aria-label:download.copyToClipboard">
         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
           <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
@@ -190,7 +479,7 @@ class CopyButton extends HTMLElement {
       </button>
     `;
 
-        this.querySelector('button').addEventListener('click', () => this.copy(command));
+        this.querySelector('button').addEventListener('click', () => this.copy(this.getAttribute('command') || ''));
     }
 
     copy(command) {
@@ -214,28 +503,25 @@ class CopyButton extends HTMLElement {
 // ============================================
 // Download Card Component
 // ============================================
-class DownloadCard extends HTMLElement {
-    connectedCallback() {
-        const recommended = this.hasAttribute('recommended');
-        const icon = this.getAttribute('icon') || 'terminal';
-        const title = this.getAttribute('title') || '';
-        const description = this.getAttribute('description') || '';
+class DownloadCard extends SiteElement {
+    static get observedAttributes() {
+        return ['recommended', 'icon', 'title', 'description'];
+    }
 
-        const badgeHTML = recommended ? '<div class="download-badge">推薦</div>' : '';
+    render() {
+        const recommended = this.hasAttribute('recommended');
+        const badgeHTML = recommended ? '<div class="download-badge" data-i18n="download.recommended">推薦</div>' : '';
         const cardClass = recommended ? 'download-card recommended' : 'download-card';
+        const iconSVG = this.getIconSVG(this.getAttribute('icon') || 'terminal');
 
-        const iconSVG = this.getIconSVG(icon);
-
-        // Preserve inner content (steps, code blocks, etc.)
-        const innerContent = this.innerHTML;
-
+        // Authored content (steps, code blocks, etc.) goes below the header
         this.innerHTML = `
       <div class="${cardClass}">
         ${badgeHTML}
         <div class="download-icon">${iconSVG}</div>
-        <h2>${title}</h2>
-        <p class="download-desc">${description}</p>
-        ${innerContent}
+        <h2>${this.attr('title')}</h2>
+        <p class="download-desc">${this.attr('description')}</p>
+        ${this.authoredContent}
       </div>
     `;
     }
@@ -260,17 +546,18 @@ class DownloadCard extends HTMLElement {
 // ============================================
 // Feature Card Component
 // ============================================
-class FeatureCard extends HTMLElement {
-    connectedCallback() {
-        const title = this.getAttribute('title') || '';
-        const icon = this.getAttribute('icon') || '';
-        const description = this.innerHTML;
+class FeatureCard extends SiteElement {
+    static get observedAttributes() {
+        return ['title', 'icon'];
+    }
 
+    render() {
+        // The authored content is the description
         this.innerHTML = `
       <div class="feature-item">
-        <div class="feature-icon">${icon}</div>
-        <h3>${title}</h3>
-        <p>${description}</p>
+        <div class="feature-icon">${this.attr('icon')}</div>
+        <h3>${this.attr('title')}</h3>
+        <p>${this.authoredContent}</p>
       </div>
     `;
     }
@@ -279,19 +566,703 @@ class FeatureCard extends HTMLElement {
 // ============================================
 // Metadata Card Component
 // ============================================
-class MetadataCard extends HTMLElement {
-    connectedCallback() {
-        const title = this.getAttribute('title') || '';
-        const icon = this.innerHTML.match(/<svg[\s\S]*?<\/svg>/)?.[0] || '';
-        const description = this.getAttribute('description') || '';
+class MetadataCard extends SiteElement {
+    static get observedAttributes() {
+        return ['title', 'description'];
+    }
+
+    render() {
+        // The authored content supplies the icon
+        const icon = this.authoredContent.match(/<svg[\s\S]*?<\/svg>/)?.[0] || '';
 
         this.innerHTML = `
       <div class="metadata-card">
         <div class="metadata-icon">${icon}</div>
-        <h3>${title}</h3>
-        <p>${description}</p>
+        <h3>${this.attr('title')}</h3>
+        <p>${this.attr('description')}</p>
+      </div>
+    `;
+    }
+}
+
+// ============================================
+// Docs Search Overlay Component
+// ============================================
+const SEARCH_RESULT_LIMIT = 8;
+const SEARCH_SNIPPET_RADIUS = 60;
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Escape `text` and wrap every occurrence of the search terms in <mark>.
+ */
+function highlightTerms(text, terms) {
+    const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+    return text
+        .split(pattern)
+        .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+        .join('');
+}
+
+function countOccurrences(haystack, needle) {
+    let count = 0;
+    for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + needle.length)) count++;
+    return count;
+}
+
+/**
+ * <docs-search> — search overlay for the documentation, opened with ⌘K /
+ * Ctrl+K, "/" or any element with `data-search-open`. The per-language
+ * index (search-index.json) is generated by scripts/build-i18n.js from the
+ * translated docs page and fetched the first time the overlay opens.
+ */
+class DocsSearch extends SiteElement {
+    connectedCallback() {
+        if (!this.results) {
+            this.index = null;
+            this.results = [];
+            this.activeIndex = 0;
+            this.docsUrl = `${getLangPrefix()}/docs.html`;
+        }
+
+        // One pair of listeners per connection, removed again in
+        // disconnectedCallback; render() only rewires the elements it replaces
+        this.onDocumentKeydown = (e) => this.onGlobalKeydown(e);
+        this.onDocumentClick = (e) => {
+            if (e.target.closest('[data-search-open]')) this.open();
+        };
+        document.addEventListener('keydown', this.onDocumentKeydown);
+        document.addEventListener('click', this.onDocumentClick);
+        super.connectedCallback();
+    }
+
+    disconnectedCallback() {
+        document.removeEventListener('keydown', this.onDocumentKeydown);
+        document.removeEventListener('click', this.onDocumentClick);
+        super.disconnectedCallback();
+    }
+
+    render() {
+        // Re-renders keep an open overlay and its query
+        const isOpen = this.overlay ? !this.overlay.hidden : false;
+        const query = this.input?.value || '';
+
+        this.innerHTML = `
+      <div class="search-overlay"${isOpen ? '' : ' hidden'}>
+        <div class="search-dialog" role="dialog" aria-modal="true">
+          <div class="search-input-row">
+            <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <circle cx="11" cy="11" r="8"/>
+              <line x1="21" y1="21" x2="16.65" y2="16.65"/>
+            </svg>
+            <input type="search" class="search-input" placeholder="搜尋文件內容…" data-i18n-placeholder="docs.search.placeholder" autocomplete="off" spellcheck="false" />
+            <kbd>esc</kbd>
+          </div>
+          <ul class="search-results" role="listbox"></ul>
+          <p class="search-empty" data-i18n="docs.search.noResults" hidden>找不到相關內容</p>
+        </div>
+      </div>
+    `;
+
+        this.overlay = this.querySelector('.search-overlay');
+        this.input = this.querySelector('.search-input');
+        this.list = this.querySelector('.search-results');
+        this.empty = this.querySelector('.search-empty');
+
+        this.input.addEventListener('input', () => this.showResults());
+        this.input.addEventListener('keydown', (e) => this.onInputKeydown(e));
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+        this.list.addEventListener('mousemove', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) this.setActive(Number(item.dataset.index));
+        });
+
+        if (query) {
+            this.input.value = query;
+            this.showResults();
+        }
+    }
+
+    onGlobalKeydown(e) {
+        if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.overlay.hidden ? this.open() : this.close();
+            return;
+        }
+        const typing = e.target.closest('input, textarea, select, [contenteditable]');
+        if (e.key === '/' && !typing && this.overlay.hidden) {
+            e.preventDefault();
+            this.open();
+        }
+    }
+
+    onInputKeydown(e) {
+        if (e.key === 'Escape') {
+            this.close();
+        } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.results.length === 0) return;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+        } else if (e.key === 'Enter') {
+            const link = this.list.querySelector('.search-result.active a');
+            if (link) {
+                e.preventDefault();
+                link.click();
+            }
+        }
+    }
+
+    async open() {
+        this.overlay.hidden = false;
+        document.body.classList.add('search-open');
+        this.input.focus();
+        this.input.select();
+        if (!this.index) {
+            try {
+                const response = await fetch(`${getLangPrefix()}/search-index.json`);
+                if (!response.ok) throw new Error('Failed to load search index');
+                this.index = await response.json();
+            } catch (error) {
+                console.error('docs search:', error);
+                this.index = [];
+            }
+            this.showResults();
+        }
+    }
+
+    close() {
+        this.overlay.hidden = true;
+        document.body.classList.remove('search-open');
+    }
+
+    /**
+     * Every term has to appear in the entry; article titles weigh most,
+     * then section headings, then (capped) body occurrences, with a bonus
+     * when the whole query appears as a phrase.
+     */
+    search(query) {
+        const phrase = query.trim().toLowerCase();
+        const terms = phrase.split(/\s+/).filter(Boolean);
+        if (terms.length === 0 || !this.index) return [];
+
+        const scored = [];
+        for (const entry of this.index) {
+            const title = entry.title.toLowerCase();
+            const section = (entry.section || '').toLowerCase();
+            const text = entry.text.toLowerCase();
+            let score = 0;
+            const allTermsMatch = terms.every((term) => {
+                const inTitle = title.includes(term);
+                const inSection = section.includes(term);
+                const inText = countOccurrences(text, term);
+                score += (inTitle ? 10 : 0) + (inSection ? 6 : 0) + Math.min(inText, 5);
+                return inTitle || inSection || inText > 0;
+            });
+            if (!allTermsMatch) continue;
+            if (terms.length > 1 && `${title} ${section} ${text}`.includes(phrase)) score += 8;
+            scored.push({ entry, score, terms });
+        }
+        return scored.sort((a, b) => b.score - a.score).slice(0, SEARCH_RESULT_LIMIT);
+    }
+
+    snippet(text, terms) {
+        const lower = text.toLowerCase();
+        const positions = terms.map((term) => lower.indexOf(term)).filter((index) => index !== -1);
+        const hit = positions.length > 0 ? Math.min(...positions) : 0;
+        const start = Math.max(0, hit - SEARCH_SNIPPET_RADIUS);
+        const end = Math.min(text.length, start + SEARCH_SNIPPET_RADIUS * 3);
+        const excerpt = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+        return highlightTerms(excerpt, terms);
+    }
+
+    showResults() {
+        const query = this.input.value;
+        this.results = this.search(query);
+        this.activeIndex = 0;
+        this.list.innerHTML = this.results.map(({ entry, terms }, i) => `
+          <li class="search-result${i === 0 ? ' active' : ''}" role="option" data-index="${i}">
+            <a href="${this.docsUrl}#${encodeURIComponent(entry.anchor)}">
+              <span class="search-result-title">${highlightTerms(entry.title, terms)}${entry.section ? ` <span class="search-result-section">› ${highlightTerms(entry.section, terms)}</span>` : ''}</span>
+              <span class="search-result-snippet">${this.snippet(entry.text, terms)}</span>
+            </a>
+          </li>`).join('');
+        this.list.querySelectorAll('a').forEach((link) => {
+            link.addEventListener('click', () => this.close());
+        });
+        this.empty.hidden = this.results.length > 0 || query.trim() === '' || !this.index;
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('.search-result').forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+            if (i === index) item.scrollIntoView({ block: 'nearest' });
+        });
+    }
+}
+
+// ============================================
+// Hover Demo Component
+// ============================================
+const HOVER_DEMO_DELAY = 100;
+const HOVER_DEMO_OFFSET = 15;
+
+/**
+ * Initial settings, matching the app's defaults. `general` … `notes` are
+ * the sections of the Display settings; the rest mirror Appearance.
+ */
+const HOVER_DEMO_DEFAULTS = {
+    liquidGlass: true,
+    blur: false,
+    compactMode: false,
+    fontSize: 11,
+    general: true,
+    exif: true,
+    video: true,
+    archive: true,
+    code: true,
+    notes: true,
+};
+
+const HOVER_DEMO_ICONS = {
+    doc: '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><polyline points="14 2 14 8 20 8"/>',
+    box: '<path d="M21 8v13H3V8"/><rect x="1" y="3" width="22" height="5"/><line x1="10" y1="12" x2="14" y2="12"/>',
+    calendar: '<rect x="3" y="4" width="18" height="18" rx="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/>',
+    clock: '<circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/>',
+    folder: '<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>',
+    camera: '<path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"/><circle cx="12" cy="13" r="4"/>',
+    aperture: '<circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="4"/>',
+    sliders: '<line x1="4" y1="21" x2="4" y2="14"/><line x1="4" y1="10" x2="4" y2="3"/><line x1="12" y1="21" x2="12" y2="12"/><line x1="12" y1="8" x2="12" y2="3"/><line x1="20" y1="21" x2="20" y2="16"/><line x1="20" y1="12" x2="20" y2="3"/>',
+    frame: '<rect x="3" y="3" width="18" height="18" rx="2"/><path d="M8 3v18M3 8h18"/>',
+    pin: '<path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"/><circle cx="12" cy="10" r="3"/>',
+    photo: '<rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/>',
+    film: '<rect x="2" y="2" width="20" height="20" rx="2"/><line x1="7" y1="2" x2="7" y2="22"/><line x1="17" y1="2" x2="17" y2="22"/><line x1="2" y1="12" x2="22" y2="12"/>',
+    sparkles: '<polygon points="12 2 15 9 22 12 15 15 12 22 9 15 2 12 9 9"/>',
+    zip: '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/><path d="M10 4h2M10 8h2M10 12h2"/>',
+    code: '<polyline points="16 18 22 12 16 6"/><polyline points="8 6 2 12 8 18"/>',
+    hash: '<line x1="4" y1="9" x2="20" y2="9"/><line x1="4" y1="15" x2="20" y2="15"/><line x1="10" y1="3" x2="8" y2="21"/><line x1="16" y1="3" x2="14" y2="21"/>',
+    lock: '<rect x="3" y="11" width="18" height="11" rx="2"/><path d="M7 11V7a5 5 0 0 1 10 0v4"/>',
+    note: '<path d="M4 4h16v12l-4 4H4z"/><line x1="8" y1="9" x2="16" y2="9"/><line x1="8" y1="13" x2="13" y2="13"/>',
+};
+
+function hoverDemoIcon(name, size = 14) {
+    return `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.75" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">${HOVER_DEMO_ICONS[name] || HOVER_DEMO_ICONS.doc}</svg>`;
+}
+
+/**
+ * Icon for a file in the mock Finder list, chosen by the metadata it has.
+ */
+function hoverDemoFileIcon(file) {
+    if (file.isDirectory) return 'folder';
+    if (file.exifData) return 'photo';
+    if (file.videoMetadata) return 'film';
+    if (file.archiveMetadata) return 'zip';
+    if (file.codeMetadata) return 'code';
+    return 'doc';
+}
+
+/**
+ * Byte count the way ByteCountFormatter's `.file` style writes it: decimal
+ * units, whole kilobytes, one decimal for megabytes and two beyond.
+ */
+function formatByteCount(bytes, lang) {
+    const units = ['bytes', 'KB', 'MB', 'GB', 'TB'];
+    const digits = [0, 0, 1, 2, 2];
+    let unit = 0;
+    let value = bytes;
+    while (value >= 1000 && unit < units.length - 1) {
+        value /= 1000;
+        unit++;
+    }
+    const number = new Intl.NumberFormat(lang, { maximumFractionDigits: digits[unit] }).format(value);
+    return `${number} ${units[unit]}`;
+}
+
+/**
+ * A mock of the hover window over a mock Finder list. Hovering (or
+ * focusing) a row shows the window for that file after the app's default
+ * delay; clicking a row keeps it open so the settings beside the list can
+ * be tried on it. Sample files come from the JSON fixture at `src`, whose
+ * entries follow FileInfo and the metadata structs in Core/Models.
+ */
+class HoverDemo extends SiteElement {
+    static get observedAttributes() {
+        return ['src'];
+    }
+
+    connectedCallback() {
+        if (!this.state) {
+            this.state = { ...HOVER_DEMO_DEFAULTS };
+            this.files = [];
+            this.notes = {};
+            this.shownIndex = null;
+            this.pinnedIndex = null;
+            this.bindEvents();
+        }
+        super.connectedCallback();
+    }
+
+    currentLang() {
+        return window.i18n?.currentLang || document.documentElement.lang || 'en';
+    }
+
+    trackPointer(e) {
+        const rect = this.stage.getBoundingClientRect();
+        this.pointer = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    label(keyPath) {
+        return window.i18n ? window.i18n.t(`hoverDemo.window.${keyPath}`) : keyPath;
+    }
+
+    async load(src) {
+        this.filesSrc = src;
+        try {
+            const response = await fetch(src);
+            if (!response.ok) throw new Error(`Failed to load ${src}`);
+            this.files = (await response.json()).files;
+        } catch (error) {
+            console.error('hover demo:', error);
+            this.files = [];
+        }
+        if (this.filesSrc === src) this.update();
+    }
+
+    render() {
+        const src = this.getAttribute('src') || '/data/hover-demo.json';
+        if (this.filesSrc !== src) this.load(src);
+
+        const rows = this.files.map((file, index) => `
+            <button type="button" class="hover-demo-row${index === this.pinnedIndex ? ' pinned' : ''}" data-index="${index}" aria-pressed="${index === this.pinnedIndex}">
+              <span class="hover-demo-name">${hoverDemoIcon(hoverDemoFileIcon(file), 16)}${escapeHtml(file.name)}</span>
+              <span class="hover-demo-size">${formatByteCount(file.size, this.currentLang())}</span>
+              <span class="hover-demo-kind">${escapeHtml(file.fileType)}</span>
+            </button>`).join('');
+
+        const toggle = (name, label) => `
+            <label class="hover-demo-toggle">
+              <input type="checkbox" name="${name}"${this.state[name] ? ' checked' : ''} />
+              ${label}
+            </label>`;
+
+        this.innerHTML = `
+      <div class="hover-demo">
+        <div class="hover-demo-stage">
+          <div class="hover-demo-finder">
+            <div class="hover-demo-header" aria-hidden="true">
+              <span data-i18n="hoverDemo.columns.name">名稱</span>
+              <span data-i18n="hoverDemo.columns.size">大小</span>
+              <span data-i18n="hoverDemo.columns.kind">種類</span>
+            </div>
+            ${rows}
+          </div>
+          <div class="hover-window" role="tooltip" hidden></div>
+        </div>
+        <form class="hover-demo-settings">
+          <fieldset>
+            <legend data-i18n="hoverDemo.settings.appearance">外觀</legend>
+            ${toggle('liquidGlass', '<span data-i18n="hoverDemo.settings.liquidGlass">液態玻璃</span>')}
+            ${toggle('blur', '<span data-i18n="hoverDemo.settings.blur">啟用模糊效果</span>')}
+            ${toggle('compactMode', '<span data-i18n="hoverDemo.settings.compactMode">緊湊模式</span>')}
+            <label class="hover-demo-range">
+              <span data-i18n="hoverDemo.settings.fontSize">字型大小</span>
+              <input type="range" name="fontSize" min="9" max="14" step="1" value="${this.state.fontSize}" />
+              <output>${this.state.fontSize} pt</output>
+            </label>
+          </fieldset>
+          <fieldset>
+            <legend data-i18n="hoverDemo.settings.display">顯示</legend>
+            ${toggle('general', '<span data-i18n="hoverDemo.settings.general">基本資訊</span>')}
+            ${toggle('exif', '<span data-i18n="hoverDemo.settings.exif">照片資訊（EXIF）</span>')}
+            ${toggle('video', '<span data-i18n="hoverDemo.settings.video">影片資訊</span>')}
+            ${toggle('archive', '<span data-i18n="hoverDemo.settings.archive">壓縮檔資訊</span>')}
+            ${toggle('code', '<span data-i18n="hoverDemo.settings.code">程式碼檔案資訊</span>')}
+            ${toggle('notes', '<span data-i18n="hoverDemo.settings.notes">備註</span>')}
+          </fieldset>
+        </form>
+        <p class="hover-demo-hint" data-i18n="hoverDemo.hint">將滑鼠移到檔案上預覽，點一下即可固定視窗並調整設定。</p>
+      </div>
+    `;
+
+        this.stage = this.querySelector('.hover-demo-stage');
+        this.popup = this.querySelector('.hover-window');
+        if (this.shownIndex !== null) this.renderWindow();
+    }
+
+    bindEvents() {
+        this.addEventListener('mouseover', (e) => {
+            const row = e.target.closest('.hover-demo-row');
+            if (!row || row.contains(e.relatedTarget)) return;
+            this.trackPointer(e);
+            clearTimeout(this.hoverTimer);
+            this.hoverTimer = setTimeout(() => this.show(Number(row.dataset.index), this.pointer), HOVER_DEMO_DELAY);
+        });
+        this.addEventListener('mousemove', (e) => this.trackPointer(e));
+        this.addEventListener('mouseout', (e) => {
+            const row = e.target.closest('.hover-demo-row');
+            if (!row || row.contains(e.relatedTarget)) return;
+            clearTimeout(this.hoverTimer);
+            this.restorePinned();
+        });
+        this.addEventListener('focusin', (e) => {
+            const row = e.target.closest('.hover-demo-row');
+            if (row) this.show(Number(row.dataset.index), this.rowAnchor(row));
+        });
+        this.addEventListener('focusout', (e) => {
+            if (e.target.closest('.hover-demo-row') && !this.popup.contains(e.relatedTarget)) this.restorePinned();
+        });
+        this.addEventListener('click', (e) => {
+            const row = e.target.closest('.hover-demo-row');
+            if (!row) return;
+            const index = Number(row.dataset.index);
+            this.pinnedIndex = this.pinnedIndex === index ? null : index;
+            this.querySelectorAll('.hover-demo-row').forEach((item) => {
+                const pinned = Number(item.dataset.index) === this.pinnedIndex;
+                item.classList.toggle('pinned', pinned);
+                item.setAttribute('aria-pressed', pinned);
+            });
+            this.pinnedPosition = this.position;
+            if (this.pinnedIndex === null) this.hide();
+        });
+        this.addEventListener('keydown', (e) => {
+            if (e.key !== 'Escape' || this.shownIndex === null) return;
+            this.pinnedIndex = null;
+            this.querySelectorAll('.hover-demo-row.pinned').forEach((item) => {
+                item.classList.remove('pinned');
+                item.setAttribute('aria-pressed', 'false');
+            });
+            this.hide();
+        });
+        this.addEventListener('input', (e) => {
+            if (e.target.name === 'note') {
+                this.notes[this.shownIndex] = e.target.value;
+            } else if (e.target.closest('.hover-demo-settings')) {
+                this.changeSetting(e.target);
+            }
+        });
+    }
+
+    /**
+     * Blur and Liquid Glass are mutually exclusive, as in
+     * AppearanceSettingsView: turning one on turns the other off.
+     */
+    changeSetting(input) {
+        const { name } = input;
+        this.state[name] = input.type === 'range' ? Number(input.value) : input.checked;
+        if (name === 'liquidGlass' && input.checked) this.state.blur = false;
+        if (name === 'blur' && input.checked) this.state.liquidGlass = false;
+
+        const form = this.querySelector('.hover-demo-settings');
+        form.elements.liquidGlass.checked = this.state.liquidGlass;
+        form.elements.blur.checked = this.state.blur;
+        form.querySelector('output').textContent = `${this.state.fontSize} pt`;
+        if (this.shownIndex !== null) this.renderWindow();
+    }
+
+    rowAnchor(row) {
+        const stage = this.stage.getBoundingClientRect();
+        const rect = row.getBoundingClientRect();
+        return { x: rect.left - stage.left + 24, y: rect.bottom - stage.top - HOVER_DEMO_OFFSET };
+    }
+
+    show(index, anchor = { x: 0, y: 0 }) {
+        if (!this.files[index]) return;
+        this.shownIndex = index;
+        this.position = { x: anchor.x + HOVER_DEMO_OFFSET, y: anchor.y + HOVER_DEMO_OFFSET };
+        this.renderWindow();
+    }
+
+    hide() {
+        this.shownIndex = null;
+        this.popup.hidden = true;
+    }
+
+    restorePinned() {
+        if (this.pinnedIndex === null) {
+            this.hide();
+        } else if (this.shownIndex !== this.pinnedIndex) {
+            this.shownIndex = this.pinnedIndex;
+            this.position = this.pinnedPosition;
+            this.renderWindow();
+        }
+    }
+
+    renderWindow() {
+        const { state } = this;
+        const file = this.files[this.shownIndex];
+        if (!file) return;
+
+        const mode = state.liquidGlass ? 'glass' : state.blur ? 'blur' : 'solid';
+        this.popup.className = `hover-window ${mode}${state.compactMode ? ' compact' : ''}`;
+        this.popup.style.setProperty('--hover-font-size', `${state.fontSize}px`);
+        const kind = file.isDirectory ? this.label('folder') : (file.fileExtension?.toUpperCase() || this.label('file'));
+
+        this.popup.innerHTML = `
+          <div class="hover-window-header">
+            <span class="hover-window-icon">${hoverDemoIcon(hoverDemoFileIcon(file), 32)}</span>
+            <div>
+              <div class="hover-window-name">${escapeHtml(file.name)}</div>
+              <div class="hover-window-kind">${escapeHtml(kind)}</div>
+            </div>
+          </div>
+          ${this.renderSections(file)}
+        `;
+        this.popup.hidden = false;
+        this.placeWindow();
+    }
+
+    /**
+     * Keep the window inside the stage, the way the app keeps it on screen.
+     */
+    placeWindow() {
+        const maxX = Math.max(0, this.stage.clientWidth - this.popup.offsetWidth);
+        const maxY = Math.max(0, this.stage.clientHeight - this.popup.offsetHeight);
+        this.popup.style.left = `${Math.min(Math.max(this.position.x, 0), maxX)}px`;
+        this.popup.style.top = `${Math.min(Math.max(this.position.y, 0), maxY)}px`;
+    }
+
+    detailRow(icon, labelKey, value) {
+        if (value === undefined || value === null || value === '') return '';
+        return `
+          <div class="hover-window-row">
+            ${hoverDemoIcon(icon)}
+            <span class="hover-window-label">${escapeHtml(this.label(labelKey))}:</span>
+            <span class="hover-window-value">${escapeHtml(value)}</span>
+          </div>`;
+    }
+
+    section(titleKey, rows) {
+        return `
+          <div class="hover-window-section">
+            <div class="hover-window-divider"></div>
+            <div class="hover-window-title">${escapeHtml(this.label(titleKey))}</div>
+            ${rows.join('')}
+          </div>`;
+    }
+
+    /**
+     * The sections HoverContentView shows for `file`, in the app's default
+     * order. Metadata sections only appear when the file has that metadata.
+     */
+    renderSections(file) {
+        const { state } = this;
+        const lang = this.currentLang();
+        const date = (value) => new Intl.DateTimeFormat(lang, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value));
+        const parts = [];
+
+        if (state.general) {
+            parts.push(`
+          <div class="hover-window-divider"></div>
+          ${this.detailRow('doc', 'type', file.fileType)}
+          ${this.detailRow('box', 'size', formatByteCount(file.size, lang))}
+          ${this.detailRow('calendar', 'created', date(file.creationDate))}
+          ${this.detailRow('clock', 'modified', date(file.modificationDate))}
+          ${this.detailRow('folder', 'location', file.path)}`);
+        }
+
+        const exif = file.exifData;
+        if (state.exif && exif) {
+            const settings = [exif.focalLength, exif.aperture, exif.shutterSpeed, exif.iso].filter(Boolean).join('  ');
+            parts.push(this.section('exif.title', [
+                this.detailRow('camera', 'exif.camera', exif.camera),
+                this.detailRow('aperture', 'exif.lens', exif.lens),
+                this.detailRow('sliders', 'exif.settings', settings),
+                this.detailRow('calendar', 'exif.taken', exif.dateTaken),
+                this.detailRow('frame', 'exif.dimensions', exif.imageSize),
+                this.detailRow('pin', 'exif.gps', exif.gpsLocation),
+            ]));
+        }
+
+        const video = file.videoMetadata;
+        if (state.video && video) {
+            parts.push(this.section('video.title', [
+                this.detailRow('clock', 'video.duration', video.duration),
+                this.detailRow('frame', 'video.resolution', video.resolution),
+                this.detailRow('film', 'video.codec', video.codec),
+                this.detailRow('sliders', 'video.framerate', video.frameRate),
+                this.detailRow('hash', 'video.bitrate', video.bitrate),
+                this.detailRow('sparkles', 'video.hdr', video.hdrFormat !== 'SDR' ? video.hdrFormat : null),
+            ]));
+        }
+
+        const archive = file.archiveMetadata;
+        if (state.archive && archive) {
+            parts.push(this.section('archive.title', [
+                this.detailRow('zip', 'archive.format', archive.format),
+                this.detailRow('doc', 'archive.fileCount', archive.fileCount?.toString()),
+                this.detailRow('box', 'archive.uncompressedSize', archive.uncompressedSize != null ? formatByteCount(archive.uncompressedSize, lang) : null),
+                this.detailRow('sliders', 'archive.compressionRatio', archive.compressionRatio != null ? `${archive.compressionRatio.toFixed(1)}%` : null),
+                this.detailRow('lock', 'archive.encrypted', archive.isEncrypted ? this.label('archive.yes') : null),
+            ]));
+        }
+
+        const code = file.codeMetadata;
+        if (state.code && code) {
+            parts.push(this.section('code.title', [
+                this.detailRow('code', 'code.language', code.language),
+                this.detailRow('hash', 'code.lineCount', code.lineCount?.toString()),
+                this.detailRow('code', 'code.codeLines', code.codeLines?.toString()),
+                this.detailRow('note', 'code.commentLines', code.commentLines?.toString()),
+                this.detailRow('doc', 'code.blankLines', code.blankLines?.toString()),
+                this.detailRow('doc', 'code.encoding', code.encoding),
+            ]));
+        }
+
+        if (state.notes) {
+            parts.push(`
+          <div class="hover-window-divider"></div>
+          <div class="hover-window-row">
+            ${hoverDemoIcon('note')}
+            <span class="hover-window-label">${escapeHtml(this.label('notes.label'))}:</span>
+            <textarea class="hover-window-note" name="note" rows="3" placeholder="${escapeHtml(this.label('notes.placeholder'))}">${escapeHtml(this.notes[this.shownIndex] || '')}</textarea>
+          </div>
+          <p class="hover-window-disclosure">${escapeHtml(this.label('notes.disclosure'))}</p>`);
+        }
+
+        return parts.join('');
+    }
+}
+
+// ============================================
+// Update Toast Component
+// ============================================
+/**
+ * Offers to reload when a new service worker (sw.js, generated by the
+ * build) has precached a newer deploy. `worker` is the waiting
+ * ServiceWorker; reloading asks it to take over first, so the page comes
+ * back with the new content.
+ */
+class UpdateToast extends SiteElement {
+    render() {
+        this.innerHTML = `
+      <div class="update-toast" role="status">
+        <span data-i18n="updateToast.message">網站內容已更新。</span>
+        <button type="button" class="update-toast-reload" data-i18n="updateToast.reload">重新載入</button>
+        <button type="button" class="update-toast-dismiss" aria-label="關閉" data-i18n-attr="aria-label:updateToast.dismiss">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"/>
+            <line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
       </div>
     `;
+
+        this.querySelector('.update-toast-reload').addEventListener('click', () => this.reload());
+        this.querySelector('.update-toast-dismiss').addEventListener('click', () => this.remove());
+    }
+
+    reload() {
+        if (!this.worker) {
+            window.location.reload();
+            return;
+        }
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+        this.worker.postMessage({ type: 'SKIP_WAITING' });
     }
 }
 
@@ -319,18 +1290,56 @@ class ScrollObserver {
     }
 }
 
+// ============================================
+// Service Worker (offline support)
+// ============================================
+class ServiceWorkerUpdates {
+    static async init() {
+        if (!('serviceWorker' in navigator)) return;
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('/sw.js');
+        } catch (error) {
+            console.error('service worker:', error);
+            return;
+        }
+
+        // A worker installed while another one controls the page is an
+        // update, not the first visit; it may be left waiting from before.
+        if (registration.waiting && navigator.serviceWorker.controller) this.showToast(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) this.showToast(worker);
+            });
+        });
+    }
+
+    static showToast(worker) {
+        document.querySelector('update-toast')?.remove();
+        const toast = document.createElement('update-toast');
+        toast.worker = worker;
+        document.body.append(toast);
+    }
+}
+
 // ============================================
 // Register All Components
 // ============================================
 customElements.define('site-nav', SiteNav);
+customElements.define('theme-switcher', ThemeSwitcher);
 customElements.define('site-footer', SiteFooter);
 customElements.define('page-hero', PageHero);
 customElements.define('copy-button', CopyButton);
 customElements.define('download-card', DownloadCard);
 customElements.define('feature-card', FeatureCard);
 customElements.define('metadata-card', MetadataCard);
+customElements.define('docs-search', DocsSearch);
+customElements.define('hover-demo', HoverDemo);
+customElements.define('update-toast', UpdateToast);
 
-// Initialize scroll observer when DOM is ready
+// Initialize scroll observer and service worker when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     ScrollObserver.init();
+    ServiceWorkerUpdates.init();
 });
@@ -0,0 +1,96 @@
+/**
+ * i18n-format.js - Message formatting for locale strings
+ *
+ * Shared by scripts/build-i18n.js (prerendering) and i18n.js (runtime t()),
+ * so a string renders the same wherever it's resolved. Supports the subset
+ * of ICU MessageFormat the site needs:
+ *
+ *   {name}                                      value of `name`
+ *   {count, plural, =0 {none} one {# file} other {# files}}
+ *   {kind, select, app {an app} other {a file}}
+ *
+ * Plural categories come from Intl.PluralRules for the string's language;
+ * `#` inside a plural branch is the count, formatted for that language.
+ * Placeholders whose value isn't supplied are left untouched, so a string
+ * can be formatted in stages (site variables at build time, call-site
+ * values at runtime). Apostrophe quoting is not supported.
+ */
+
+(function (root) {
+    const ARGUMENT_PATTERN = /^\s*(\w+)\s*(?:,\s*(plural|select)\s*,([\s\S]*))?$/;
+
+    /**
+     * Index of the "}" that closes the "{" at `open`, or -1.
+     */
+    function findClose(message, open) {
+        let depth = 0;
+        for (let i = open; i < message.length; i++) {
+            if (message[i] === '{') depth++;
+            else if (message[i] === '}' && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * Parse "one {…} other {…}" into { one: '…', other: '…' }, or null when
+     * the branches are malformed.
+     */
+    function parseBranches(source) {
+        const branches = {};
+        let i = 0;
+        while (i < source.length) {
+            const match = /^\s*([^\s{}]+)\s*\{/.exec(source.slice(i));
+            if (!match) return source.slice(i).trim() ? null : branches;
+            const open = i + match[0].length - 1;
+            const close = findClose(source, open);
+            if (close === -1) return null;
+            branches[match[1]] = source.slice(open + 1, close);
+            i = close + 1;
+        }
+        return branches;
+    }
+
+    function formatArgument(body, token, values, lang, count) {
+        const match = ARGUMENT_PATTERN.exec(body);
+        if (!match || !Object.prototype.hasOwnProperty.call(values, match[1])) return token;
+        const [, name, type, branchSource] = match;
+        const value = values[name];
+        if (!type) return String(value);
+
+        const branches = parseBranches(branchSource);
+        if (!branches) return token;
+        if (type === 'select') {
+            const branch = branches[value] ?? branches.other;
+            return branch === undefined ? token : formatMessage(branch, values, lang, count);
+        }
+
+        const number = Number(value);
+        const branch = branches[`=${number}`] ?? branches[new Intl.PluralRules(lang).select(number)] ?? branches.other;
+        return branch === undefined ? token : formatMessage(branch, values, lang, number);
+    }
+
+    /**
+     * Format `message` with `values`. `count` is the number `#` stands for
+     * inside a plural branch (internal).
+     */
+    function formatMessage(message, values = {}, lang = 'en', count = undefined) {
+        const pound = (text) => (count === undefined ? text : text.replace(/#/g, new Intl.NumberFormat(lang).format(count)));
+        let out = '';
+        let cursor = 0;
+        while (cursor < message.length) {
+            const open = message.indexOf('{', cursor);
+            const close = open === -1 ? -1 : findClose(message, open);
+            if (close === -1) break;
+            out += pound(message.slice(cursor, open));
+            out += formatArgument(message.slice(open + 1, close), message.slice(open, close + 1), values, lang, count);
+            cursor = close + 1;
+        }
+        return out + pound(message.slice(cursor));
+    }
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = { formatMessage };
+    } else {
+        root.I18nFormat = { formatMessage };
+    }
+})(this);
@@ -1,16 +1,76 @@
 /**
  * i18n - Internationalization module for FinderHover website
- * Supports: zh-Hant (root), en (/en/), ja (/ja/)
+ * Supported languages come from languages.js (window.SITE_LANGUAGES);
+ * message formatting from i18n-format.js (window.I18nFormat).
  *
  * Language is encoded in the URL path:
- *   /            → zh-Hant
+ *   /            → source language (zh-Hant)
  *   /en/...      → en
  *   /ja/...      → ja
  */
 
-const SUPPORTED_LANGS = ['zh-Hant', 'en', 'ja'];
-const DEFAULT_LANG = 'zh-Hant';
+const SITE_LANGUAGES = window.SITE_LANGUAGES;
+const SUPPORTED_LANGS = SITE_LANGUAGES.map((language) => language.code);
+const DEFAULT_LANG = SITE_LANGUAGES.find((language) => language.source).code;
 const LANG_STORAGE_KEY = 'finderhover-lang';
+// URL → fingerprinted URL of the locales and site variables. Empty here;
+// `build-i18n.js --fingerprint` fills it in the copy a deploy serves (see
+// scripts/lib/assets.js).
+const ASSET_URLS = {};
+const { formatMessage } = window.I18nFormat;
+
+function getLanguage(lang) {
+    return SITE_LANGUAGES.find((language) => language.code === lang);
+}
+
+/**
+ * Languages consulted for a key, in order: the language itself, its
+ * manifest fallbacks, then the source language.
+ *   "ja" → ["ja", "en", "zh-Hant"]
+ */
+function fallbackChain(lang) {
+    const chain = [lang, ...(getLanguage(lang).fallback || []), DEFAULT_LANG];
+    return chain.filter((code, index) => chain.indexOf(code) === index);
+}
+
+function lookupKey(tree, keyPath) {
+    let value = tree;
+    for (const key of keyPath.split('.')) {
+        if (value && typeof value === 'object' && key in value) {
+            value = value[key];
+        } else {
+            return undefined;
+        }
+    }
+    return value;
+}
+
+/**
+ * Parse a data-i18n-attr value into [attribute, key] pairs:
+ *   "aria-label:nav.toggleMenu;alt:gallery.screenshot"
+ *     → [["aria-label", "nav.toggleMenu"], ["alt", "gallery.screenshot"]]
+ */
+function parseAttrBindings(value) {
+    return value
+        .split(';')
+        .map((binding) => binding.split(':').map((part) => part.trim()))
+        .filter(([attr, key]) => attr && key);
+}
+
+/**
+ * Placeholder values for an element's keys, from its data-i18n-args JSON,
+ * e.g. data-i18n-args='{"year": 2025}'.
+ */
+function readArgs(el) {
+    const source = el.getAttribute('data-i18n-args');
+    if (!source) return {};
+    try {
+        return JSON.parse(source);
+    } catch (error) {
+        console.error('i18n: invalid data-i18n-args:', source, error);
+        return {};
+    }
+}
 
 /**
  * Parse a locale-authored HTML fragment into DOM nodes.
@@ -34,13 +94,27 @@ const i18n = {
     defaultLang: DEFAULT_LANG,
     currentLang: null,
     translations: {},
+    catalogs: [],
+    siteVars: {},
 
     async init() {
         this.currentLang = this.detectLanguage();
-        await this.loadTranslation(this.currentLang);
+        this.emit('i18n:languagechange');
+        await Promise.all([this.loadTranslation(this.currentLang), this.loadSiteVars()]);
         this.applyTranslations();
         this.updateLangSwitcher();
         document.documentElement.lang = this.currentLang;
+        document.documentElement.dir = getLanguage(this.currentLang).dir;
+        this.emit('i18n:translationsloaded');
+    },
+
+    /**
+     * Events on `document` that components.js re-renders on:
+     * "i18n:languagechange" once the language is known and
+     * "i18n:translationsloaded" once its strings are in and applied.
+     */
+    emit(type) {
+        document.dispatchEvent(new CustomEvent(type, { detail: { lang: this.currentLang } }));
     },
 
     /**
@@ -92,30 +166,59 @@ const i18n = {
         return prefix + tail;
     },
 
+    /**
+     * Load `lang` and every locale in its fallback chain. `catalogs` keeps
+     * the ones that loaded, in chain order; `translations` is the first.
+     */
     async loadTranslation(lang) {
+        const chain = fallbackChain(lang);
+        const loaded = await Promise.all(chain.map((code) => this.fetchLocale(code)));
+        this.catalogs = chain
+            .map((code, index) => ({ lang: code, translations: loaded[index] }))
+            .filter((catalog) => catalog.translations);
+        this.translations = this.catalogs.length > 0 ? this.catalogs[0].translations : {};
+    },
+
+    async fetchLocale(lang) {
         try {
-            const response = await fetch(`/locales/${lang}.json`);
+            const response = await fetch(ASSET_URLS[`/locales/${lang}.json`] || `/locales/${lang}.json`);
             if (!response.ok) throw new Error(`Failed to load translation: ${lang}`);
-            this.translations = await response.json();
+            return await response.json();
         } catch (error) {
             console.error('i18n load error:', error);
-            if (lang !== DEFAULT_LANG) {
-                await this.loadTranslation(DEFAULT_LANG);
-            }
+            return null;
         }
     },
 
-    t(keyPath) {
-        const keys = keyPath.split('.');
-        let value = this.translations;
-        for (const key of keys) {
-            if (value && typeof value === 'object' && key in value) {
-                value = value[key];
-            } else {
-                return keyPath;
-            }
+    /**
+     * Counts derived from the formats catalogue at build time, referenced in
+     * locale strings as {formatCount} etc. Unknown names are left as-is.
+     */
+    async loadSiteVars() {
+        try {
+            const response = await fetch(ASSET_URLS['/data/site-vars.json'] || '/data/site-vars.json');
+            if (!response.ok) throw new Error('Failed to load site vars');
+            this.siteVars = await response.json();
+        } catch (error) {
+            console.error('i18n load error:', error);
         }
-        return value;
+    },
+
+    /**
+     * Look up a key through the fallback chain and format it with `args`
+     * and the site variables, e.g. t('footer.copyright', { year: 2025 }).
+     * Strings support {name}, plural and select (see i18n-format.js) and
+     * use the plural rules of the locale they came from. Returns the key
+     * path when no locale defines the key.
+     */
+    t(keyPath, args = {}) {
+        for (const { lang, translations } of this.catalogs) {
+            const value = lookupKey(translations, keyPath);
+            if (value === undefined) continue;
+            if (typeof value !== 'string') return value;
+            return formatMessage(value, { ...this.siteVars, ...args }, lang);
+        }
+        return keyPath;
     },
 
     /**
@@ -169,24 +272,46 @@ const i18n = {
         if (el) el.setAttribute(attr, value);
     },
 
-    applyElementTranslations() {
-        document.querySelectorAll('[data-i18n]').forEach((el) => {
+    /**
+     * The /en/ and /ja/ trees are prerendered by scripts/build-i18n.js, so on
+     * those pages this pass is a fallback: it localizes markup rendered by
+     * web components and any key the build couldn't resolve.
+     *
+     *   data-i18n               inner HTML
+     *   data-i18n-placeholder   placeholder attribute
+     *   data-i18n-title         title attribute
+     *   data-i18n-attr          any attributes, as "attr:key;attr:key"
+     *   data-i18n-args          JSON placeholder values for the above
+     *
+     * Pass `root` to localize a single subtree, e.g. a component that just
+     * re-rendered.
+     */
+    applyElementTranslations(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach((el) => {
             const key = el.getAttribute('data-i18n');
-            const value = this.t(key);
+            const value = this.t(key, readArgs(el));
             if (value !== key) replaceWithHtml(el, value);
         });
 
-        document.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
+        root.querySelectorAll('[data-i18n-placeholder]').forEach((el) => {
             const key = el.getAttribute('data-i18n-placeholder');
-            const value = this.t(key);
+            const value = this.t(key, readArgs(el));
             if (value !== key) el.placeholder = value;
         });
 
-        document.querySelectorAll('[data-i18n-title]').forEach((el) => {
+        root.querySelectorAll('[data-i18n-title]').forEach((el) => {
             const key = el.getAttribute('data-i18n-title');
-            const value = this.t(key);
+            const value = this.t(key, readArgs(el));
             if (value !== key) el.title = value;
         });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+            const args = readArgs(el);
+            for (const [attr, key] of parseAttrBindings(el.getAttribute('data-i18n-attr'))) {
+                const value = this.t(key, args);
+                if (value !== key) el.setAttribute(attr, value);
+            }
+        });
     },
 
     /**
@@ -209,8 +334,7 @@ const i18n = {
         const switcher = document.querySelector('.lang-switcher');
         if (!switcher) return;
 
-        const shortNames = { 'zh-Hant': '繁', 'ja': '日', 'en': 'EN' };
-        const fullNames = { 'zh-Hant': '繁體中文', 'ja': '日本語', 'en': 'English' };
+        const { name, shortName } = getLanguage(this.currentLang);
 
         const current = switcher.querySelector('.lang-current');
         if (current) {
@@ -218,16 +342,21 @@ const i18n = {
             const mobileSpan = current.querySelector('.lang-text-mobile');
 
             if (desktopSpan && mobileSpan) {
-                desktopSpan.textContent = shortNames[this.currentLang];
-                mobileSpan.textContent = fullNames[this.currentLang];
+                desktopSpan.textContent = shortName;
+                mobileSpan.textContent = name;
             } else {
-                current.textContent = shortNames[this.currentLang];
+                current.textContent = shortName;
             }
+
+            const args = { language: name };
+            current.setAttribute('data-i18n-args', JSON.stringify(args));
+            current.setAttribute('aria-label', this.t('nav.currentLanguage', args));
         }
 
         switcher.querySelectorAll('.lang-option').forEach((opt) => {
-            const lang = opt.getAttribute('data-lang');
-            opt.classList.toggle('active', lang === this.currentLang);
+            const isCurrent = opt.getAttribute('data-lang') === this.currentLang;
+            opt.classList.toggle('active', isCurrent);
+            opt.setAttribute('aria-checked', String(isCurrent));
         });
     },
 
@@ -241,14 +370,21 @@ const i18n = {
         if (lang === this.currentLang) return;
         localStorage.setItem(LANG_STORAGE_KEY, lang);
         const targetPath = this.rewritePathForLang(window.location.pathname, lang);
-        window.location.href = targetPath + window.location.hash;
+        window.location.href = targetPath + window.location.search + window.location.hash;
     },
 };
 
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => i18n.init());
-} else {
-    i18n.init();
-}
+/**
+ * Resolves once the first translation pass has been applied, for page
+ * scripts that need to run after the runtime has touched the DOM.
+ */
+i18n.ready = new Promise((resolve) => {
+    const start = () => i18n.init().then(resolve);
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+});
 
 window.i18n = i18n;
@@ -0,0 +1,34 @@
+/**
+ * languages.js - Language manifest for the FinderHover website
+ *
+ * The single list of supported languages, read by scripts/build-i18n.js
+ * (language trees, hreflang, og:locale, sitemap), i18n.js (detection and
+ * routing) and components.js (nav language switcher).
+ *
+ * Adding a language = one entry here + one `locales/<code>.json`, then
+ * rerun `node scripts/build-i18n.js`.
+ *
+ *   code       BCP 47 tag; also the URL prefix (/en/) and locale file name
+ *   name       Native display name (switcher dropdown, mobile nav)
+ *   shortName  Compact label for the desktop nav button
+ *   ogLocale   Open Graph locale (language_TERRITORY)
+ *   dir        Text direction, "ltr" or "rtl"
+ *   source     The language the root HTML is authored in, served without prefix
+ *   xDefault   Target of hreflang="x-default"
+ *   fallback   Languages whose strings fill keys this locale lacks, tried in
+ *              order before the source language (i18n.t())
+ */
+
+(function (root) {
+    const SITE_LANGUAGES = [
+        { code: 'zh-Hant', name: '繁體中文', shortName: '繁', ogLocale: 'zh_TW', dir: 'ltr', source: true },
+        { code: 'en', name: 'English', shortName: 'EN', ogLocale: 'en_US', dir: 'ltr', xDefault: true },
+        { code: 'ja', name: '日本語', shortName: '日', ogLocale: 'ja_JP', dir: 'ltr', fallback: ['en'] },
+    ];
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = SITE_LANGUAGES;
+    } else {
+        root.SITE_LANGUAGES = SITE_LANGUAGES;
+    }
+})(this);
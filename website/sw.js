@@ -0,0 +1,108 @@
+// Generated by scripts/build-i18n.js — do not edit.
+// See scripts/lib/service-worker.js.
+
+const CACHE_NAME = 'finderhover-precache';
+
+const PRECACHE_MANIFEST = [
+    { url: '/index.html', revision: '85468d8999bd2014' },
+    { url: '/download.html', revision: 'be587d9ed84bdc44' },
+    { url: '/docs.html', revision: 'bffb7bcbe32d11dc' },
+    { url: '/formats.html', revision: '9a3706088fcb6f56' },
+    { url: '/changelog.html', revision: 'd325a0a344c413bf' },
+    { url: '/license.html', revision: 'e8ac1738d17bddb5' },
+    { url: '/search-index.json', revision: '239f05df2514d601' },
+    { url: '/en/index.html', revision: '4f40527ddcf51094' },
+    { url: '/en/download.html', revision: 'd746eb4edcb6cc64' },
+    { url: '/en/docs.html', revision: '3e928120d0785895' },
+    { url: '/en/formats.html', revision: '2b2618fd3f4ff34c' },
+    { url: '/en/changelog.html', revision: 'f74f191ef74c6c43' },
+    { url: '/en/license.html', revision: 'cbfedef44d633d33' },
+    { url: '/en/search-index.json', revision: 'f3f2d3cc7aa53f79' },
+    { url: '/ja/index.html', revision: '1a36f0369d618ce6' },
+    { url: '/ja/download.html', revision: '7d04a4b3405108df' },
+    { url: '/ja/docs.html', revision: 'b722163df402f615' },
+    { url: '/ja/formats.html', revision: 'c0957a04046237a4' },
+    { url: '/ja/changelog.html', revision: '4912cbf4a5194d56' },
+    { url: '/ja/license.html', revision: 'c2c635fa7e6a64ca' },
+    { url: '/ja/search-index.json', revision: 'cf1d890465ab6bc2' },
+    { url: '/locales/zh-Hant.json', revision: 'ac26c906307b80dd' },
+    { url: '/locales/en.json', revision: '92263722783f4436' },
+    { url: '/locales/ja.json', revision: '806a4adcd785d48e' },
+    { url: '/data/site-vars.json', revision: '33135a9b8b26619b' },
+    { url: '/theme.js', revision: 'af45e4c49578e1fa' },
+    { url: '/style.css', revision: '6f60491fda954933' },
+    { url: '/languages.js', revision: '6db41ead904dfdbc' },
+    { url: '/components.js', revision: '3b711161b4582944' },
+    { url: '/i18n-format.js', revision: 'd8ae7beecc4ac56b' },
+    { url: '/i18n.js', revision: 'e6c99140de14274d' },
+    { url: '/data/hover-demo.json', revision: '11500e335e7f4e5b' },
+    { url: '/assets/icon-128.png', revision: '8fc46825a15297d3' },
+    { url: '/assets/icon.png', revision: '225f1413e790354d' },
+    { url: '/assets/og-image.png', revision: '9cfee7e5a6800f2e' },
+];
+
+const REVISIONS = new Map(PRECACHE_MANIFEST.map(({ url, revision }) => [url, revision]));
+
+function cacheKey(url, revision) {
+    return new URL(`${url}?__rev=${revision}`, self.location.origin).href;
+}
+
+/**
+ * The manifest URL a request is served from: directories map to their
+ * index.html and extensionless paths to the .html page they redirect to.
+ */
+function manifestUrl(requestUrl) {
+    const url = new URL(requestUrl);
+    if (url.origin !== self.location.origin) return null;
+    let pathname = url.pathname;
+    if (pathname.endsWith('/')) pathname += 'index.html';
+    else if (!pathname.split('/').pop().includes('.')) pathname += '.html';
+    return REVISIONS.has(pathname) ? pathname : null;
+}
+
+/**
+ * Cache API rejects redirected responses for navigations, and the host
+ * redirects /page.html to /page, so store a plain copy instead.
+ */
+async function storableResponse(response) {
+    if (!response.redirected) return response;
+    const body = await response.blob();
+    return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await Promise.all(PRECACHE_MANIFEST.map(async ({ url, revision }) => {
+            const key = cacheKey(url, revision);
+            if (await cache.match(key)) return;
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`Failed to precache ${url}: ${response.status}`);
+            await cache.put(key, await storableResponse(response));
+        }));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const current = new Set(PRECACHE_MANIFEST.map(({ url, revision }) => cacheKey(url, revision)));
+        const cache = await caches.open(CACHE_NAME);
+        const requests = await cache.keys();
+        await Promise.all(requests.filter((request) => !current.has(request.url)).map((request) => cache.delete(request)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') return;
+    const url = manifestUrl(event.request.url);
+    if (!url) return;
+    event.respondWith((async () => {
+        const cached = await caches.match(cacheKey(url, REVISIONS.get(url)), { cacheName: CACHE_NAME });
+        return cached || fetch(event.request);
+    })());
+});
@@ -0,0 +1,78 @@
+/**
+ * theme.js - Light/dark theme for the FinderHover website
+ *
+ * Loaded without `defer` ahead of style.css, so the theme is on <html>
+ * before the first paint and a dark page never flashes light:
+ *
+ *   data-theme             "light" or "dark", what style.css keys on
+ *   data-theme-preference  "light", "dark" or "system"
+ *
+ * The preference is saved under THEME_STORAGE_KEY, the way i18n.js saves
+ * the language; "system" (the default) follows prefers-color-scheme and
+ * changes with it. The nav's <theme-switcher> (components.js) sets it
+ * through window.siteTheme and listens for "theme:change" on `document`.
+ */
+
+(function () {
+    const THEME_STORAGE_KEY = 'finderhover-theme';
+    const THEME_PREFERENCES = ['light', 'dark', 'system'];
+    const systemDark = window.matchMedia('(prefers-color-scheme: dark)');
+    const root = document.documentElement;
+
+    // Storage can be unavailable (blocked cookies, some private modes) and
+    // throws when it is; the theme then just isn't remembered
+    function savedPreference() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(THEME_STORAGE_KEY);
+        } catch (error) {
+            // Fall back to the system appearance
+        }
+        return THEME_PREFERENCES.includes(saved) ? saved : 'system';
+    }
+
+    function savePreference(preference) {
+        try {
+            localStorage.setItem(THEME_STORAGE_KEY, preference);
+        } catch (error) {
+            // Applies to this page only
+        }
+    }
+
+    function apply(preference) {
+        const theme = preference === 'system' ? (systemDark.matches ? 'dark' : 'light') : preference;
+        const changed = root.dataset.theme !== theme || root.dataset.themePreference !== preference;
+        root.dataset.theme = theme;
+        root.dataset.themePreference = preference;
+        if (changed) document.dispatchEvent(new CustomEvent('theme:change', { detail: { theme, preference } }));
+    }
+
+    window.siteTheme = {
+        preferences: THEME_PREFERENCES,
+
+        get preference() {
+            return root.dataset.themePreference;
+        },
+
+        get theme() {
+            return root.dataset.theme;
+        },
+
+        setPreference(preference) {
+            if (!THEME_PREFERENCES.includes(preference)) return;
+            savePreference(preference);
+            apply(preference);
+        },
+    };
+
+    systemDark.addEventListener('change', () => {
+        if (root.dataset.themePreference === 'system') apply('system');
+    });
+
+    // Another tab changed the preference
+    window.addEventListener('storage', (e) => {
+        if (e.key === THEME_STORAGE_KEY) apply(savedPreference());
+    });
+
+    apply(savedPreference());
+})();